@@ -0,0 +1,186 @@
+/**
+ * Accessibility Helpers
+ * Modal dialog focus management (focus trap, inert background, focus restore)
+ * and a shared aria-live region for screen reader announcements.
+ * Used by the cart drawer, cookie preferences panel and newsletter popup.
+ */
+
+const A11y = {
+    FOCUSABLE: [
+        'a[href]',
+        'button:not([disabled])',
+        'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        '[tabindex]:not([tabindex="-1"])'
+    ].join(','),
+
+    /** Open dialogs, innermost last: { element, opener, inerted } */
+    stack: [],
+    liveRegion: null,
+
+    /**
+     * Initialize keyboard handling
+     */
+    init() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') this._trapTab(e);
+        });
+    },
+
+    /**
+     * Open a modal dialog: make the rest of the page inert and move focus inside
+     * @param {HTMLElement} element - Dialog element
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.opener] - Element to refocus on close (defaults to the focused element)
+     * @param {HTMLElement} [options.initialFocus] - Element to focus (defaults to the first focusable)
+     * @param {Array<HTMLElement>} [options.exclude] - Elements outside the dialog that stay interactive (e.g. an overlay)
+     */
+    openDialog(element, options = {}) {
+        if (!element || this.stack.some(dialog => dialog.element === element)) return;
+
+        // Announcements and toasts raised while the dialog is open must stay reachable
+        const exclude = [this.liveRegion, window.Notifications?.toastRegion, ...(options.exclude || [])].filter(Boolean);
+        const dialog = {
+            element,
+            opener: options.opener || document.activeElement,
+            inerted: this._inertSiblings(element, exclude)
+        };
+
+        this.stack.push(dialog);
+
+        const target = options.initialFocus || this.getFocusable(element)[0] || element;
+        if (target === element && !element.hasAttribute('tabindex')) {
+            element.setAttribute('tabindex', '-1');
+        }
+        target.focus();
+    },
+
+    /**
+     * Close a modal dialog: restore the background and return focus to the opener
+     * @param {HTMLElement} element - Dialog element
+     */
+    closeDialog(element) {
+        const index = this.stack.findIndex(dialog => dialog.element === element);
+        if (index === -1) return;
+
+        const [dialog] = this.stack.splice(index, 1);
+        dialog.inerted.forEach(el => { el.inert = false; });
+
+        if (dialog.opener?.isConnected) {
+            dialog.opener.focus();
+        }
+    },
+
+    /**
+     * Announce a message to screen readers
+     * @param {string} message
+     * @param {string} [politeness] - 'polite' or 'assertive'
+     */
+    announce(message, politeness = 'polite') {
+        if (!message) return;
+
+        if (!this.liveRegion) {
+            this.liveRegion = document.createElement('div');
+            this.liveRegion.className = 'sr-only';
+            this.liveRegion.dataset.a11yLiveRegion = '';
+            document.body.appendChild(this.liveRegion);
+        }
+
+        this.liveRegion.setAttribute('aria-live', politeness);
+
+        // Clear first so repeating the same message is announced again
+        this.liveRegion.textContent = '';
+        setTimeout(() => {
+            this.liveRegion.textContent = message;
+        }, 100);
+    },
+
+    /**
+     * Set aria-expanded on every element matching a selector
+     * @param {string} selector
+     * @param {boolean} expanded
+     */
+    syncExpanded(selector, expanded) {
+        document.querySelectorAll(selector).forEach(el => {
+            el.setAttribute('aria-expanded', expanded.toString());
+        });
+    },
+
+    /**
+     * Visible, focusable elements inside a container
+     * @param {HTMLElement} container
+     * @returns {Array<HTMLElement>}
+     */
+    getFocusable(container) {
+        return Array.from(container.querySelectorAll(this.FOCUSABLE))
+            .filter(el => !el.inert && el.getClientRects().length > 0);
+    },
+
+    /**
+     * Mark everything outside the dialog inert, level by level up to <body>
+     * @private
+     * @returns {Array<HTMLElement>} Elements that were changed
+     */
+    _inertSiblings(element, exclude) {
+        const inerted = [];
+        let current = element;
+
+        while (current && current !== document.body) {
+            const parent = current.parentElement;
+            if (!parent) break;
+
+            Array.from(parent.children).forEach(sibling => {
+                if (sibling === current || sibling.inert) return;
+                if (exclude.some(el => sibling === el || sibling.contains(el))) return;
+                if (['SCRIPT', 'STYLE', 'TEMPLATE', 'LINK'].includes(sibling.tagName)) return;
+
+                sibling.inert = true;
+                inerted.push(sibling);
+            });
+
+            current = parent;
+        }
+
+        return inerted;
+    },
+
+    /**
+     * Keep Tab and Shift+Tab inside the innermost open dialog
+     * @private
+     */
+    _trapTab(e) {
+        const dialog = this.stack[this.stack.length - 1];
+        if (!dialog) return;
+
+        const focusable = this.getFocusable(dialog.element);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (!dialog.element.contains(active)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && active === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+};
+
+// Auto-init
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => A11y.init());
+} else {
+    A11y.init();
+}
+
+window.A11y = A11y;
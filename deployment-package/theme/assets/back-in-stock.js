@@ -0,0 +1,169 @@
+/**
+ * Back In Stock Module
+ * "Notify me" signups for sold-out variants. ProductForm shows the
+ * [data-back-in-stock] form in place of the add to cart button and keeps its
+ * variant in sync; this module validates and submits it through an adapter:
+ * - klaviyo: Klaviyo back-in-stock API (when a public API key is set)
+ * - shopify: Shopify customer form, tagged with the variant
+ *
+ * Other adapters (e.g. a local mock endpoint in tests) can be added with
+ * registerAdapter() and selected with window.theme.backInStock.adapter.
+ */
+
+const BackInStock = {
+    KLAVIYO_ENDPOINT: 'https://a.klaviyo.com/client/back-in-stock-subscriptions/',
+    KLAVIYO_REVISION: '2024-10-15',
+
+    /** Name → { subscribe({ email, variantId, productId }, form): Promise } */
+    adapters: {
+        klaviyo: {
+            async subscribe({ email, variantId }, form) {
+                const url = `${BackInStock.KLAVIYO_ENDPOINT}?company_id=${encodeURIComponent(form.dataset.klaviyoKey)}`;
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/vnd.api+json',
+                        'revision': BackInStock.KLAVIYO_REVISION
+                    },
+                    body: JSON.stringify({
+                        data: {
+                            type: 'back-in-stock-subscription',
+                            attributes: {
+                                channels: ['EMAIL'],
+                                profile: { data: { type: 'profile', attributes: { email } } }
+                            },
+                            relationships: {
+                                variant: { data: { type: 'catalog-variant', id: `$shopify:::$default:::${variantId}` } }
+                            }
+                        }
+                    })
+                });
+
+                if (!response.ok) throw new Error(`Klaviyo responded ${response.status}`);
+            }
+        },
+
+        shopify: {
+            async subscribe({ email, variantId }) {
+                const body = new FormData();
+                body.append('form_type', 'customer');
+                body.append('utf8', '✓');
+                body.append('contact[email]', email);
+                body.append('contact[tags]', `back-in-stock,back-in-stock-variant-${variantId}`);
+
+                const response = await fetch(`${window.Shopify?.routes?.root || '/'}contact`, {
+                    method: 'POST',
+                    body
+                });
+
+                // Shopify redirects to a captcha page when it suspects spam
+                if (!response.ok || response.url.includes('/challenge')) {
+                    throw new Error(`Customer form responded ${response.status}`);
+                }
+            }
+        }
+    },
+
+    /**
+     * Initialize back in stock forms
+     */
+    init() {
+        document.addEventListener('submit', (e) => {
+            const form = e.target.closest('[data-back-in-stock]');
+            if (!form) return;
+
+            e.preventDefault();
+            this.submit(form);
+        });
+    },
+
+    /**
+     * Add or replace a signup adapter
+     * @param {string} name
+     * @param {Object} adapter - { subscribe({ email, variantId, productId }, form): Promise }
+     */
+    registerAdapter(name, adapter) {
+        this.adapters[name] = adapter;
+    },
+
+    /**
+     * Point a form at another variant and reset its state
+     * @param {HTMLFormElement} form
+     * @param {Object} variant - Variant JSON
+     */
+    setVariant(form, variant) {
+        const input = form.elements.variant_id;
+        if (!variant || input.value === String(variant.id)) return;
+
+        input.value = variant.id;
+        form.querySelector('[type="submit"]').disabled = false;
+        this._renderStatus(form, '');
+
+        // Re-check an email the shopper already typed against the new state
+        const email = form.elements.email;
+        if (email.value) email.setAttribute('aria-invalid', (!email.checkValidity()).toString());
+    },
+
+    /**
+     * Validate and send a signup
+     * @param {HTMLFormElement} form
+     */
+    async submit(form) {
+        if (!form.reportValidity()) return;
+
+        const submitBtn = form.querySelector('[type="submit"]');
+        const signup = {
+            email: form.elements.email.value.trim(),
+            variantId: parseInt(form.elements.variant_id.value, 10),
+            productId: parseInt(form.dataset.productId, 10)
+        };
+
+        submitBtn.disabled = true;
+
+        try {
+            await this._getAdapter(form).subscribe(signup, form);
+
+            this._renderStatus(form, window.I18n.t('products.back_in_stock.success'));
+            document.dispatchEvent(new CustomEvent('back-in-stock:subscribed', { detail: signup }));
+        } catch (e) {
+            console.error('BackInStock: Signup failed', e);
+            this._renderStatus(form, window.I18n.t('products.back_in_stock.error'), true);
+            submitBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Adapter for a form: the global override, else the one the form was rendered with
+     * @private
+     */
+    _getAdapter(form) {
+        const name = window.theme?.backInStock?.adapter || form.dataset.backInStockAdapter;
+        const adapter = this.adapters[name];
+
+        if (!adapter) throw new Error(`Unknown adapter "${name}"`);
+        return adapter;
+    },
+
+    /**
+     * Show a success or error message below the form
+     * @private
+     */
+    _renderStatus(form, message, isError = false) {
+        const status = form.querySelector('[data-back-in-stock-status]');
+        if (!status) return;
+
+        status.textContent = message;
+        status.hidden = !message;
+        status.classList.toggle('notification-inline--error', isError);
+        status.classList.toggle('notification-inline--success', !isError);
+    }
+};
+
+// Auto-init
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => BackInStock.init());
+} else {
+    BackInStock.init();
+}
+
+window.BackInStock = BackInStock;
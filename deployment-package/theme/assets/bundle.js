@@ -0,0 +1,136 @@
+/**
+ * Bundle Module
+ * "Complete the look" bundles (snippets/complete-the-look.liquid). Each item
+ * gets its own ProductForm for option matching and prices; the selected
+ * items are added in a single /cart/add.js request with a shared private
+ * _bundle_id property, which the cart drawer groups lines by.
+ */
+
+const Bundle = {
+    /** Bundle form → [{ element, form }] */
+    bundles: new WeakMap(),
+
+    /**
+     * Initialize bundles on the page
+     */
+    init() {
+        document.querySelectorAll('[data-bundle]').forEach(bundle => this.setup(bundle));
+    },
+
+    /**
+     * Create item ProductForms and bind a bundle form
+     * @param {HTMLFormElement} bundle
+     */
+    setup(bundle) {
+        if (this.bundles.has(bundle)) return;
+
+        const items = Array.from(bundle.querySelectorAll('[data-bundle-item]')).map(element => ({
+            element,
+            form: window.ProductForm.mount(element, {
+                productJson: JSON.parse(element.querySelector('[data-bundle-product-json]').textContent),
+                syncUrl: false
+            })
+        }));
+
+        this.bundles.set(bundle, items);
+
+        // Item ProductForms handle option changes on the inputs first
+        bundle.addEventListener('change', () => this.render(bundle));
+        bundle.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.add(bundle);
+        });
+
+        this.render(bundle);
+    },
+
+    /**
+     * Add the selected items in one request
+     * @param {HTMLFormElement} bundle
+     */
+    async add(bundle) {
+        const submitBtn = bundle.querySelector('[data-bundle-submit]');
+        const selected = this._getSelected(bundle);
+        if (!this._canAdd(selected)) return;
+
+        const properties = {
+            _bundle_id: this._createId(),
+            _bundle_title: bundle.dataset.bundleTitle || ''
+        };
+
+        window.Notifications.clear(submitBtn);
+        submitBtn.disabled = true;
+
+        try {
+            // Cart broadcasts cart:item-added, which opens the drawer
+            await window.Cart.add({
+                items: selected.map(({ form }) => ({
+                    id: form.currentVariant.id,
+                    quantity: form.getQuantity(),
+                    properties
+                }))
+            });
+        } catch (error) {
+            window.Notifications.inline(submitBtn, error.message);
+        }
+
+        this.render(bundle);
+    },
+
+    /**
+     * Update the total and the add button for the current selection
+     * @param {HTMLFormElement} bundle
+     */
+    render(bundle) {
+        const selected = this._getSelected(bundle);
+        const total = selected.reduce((sum, { form }) => {
+            return form.currentVariant ? sum + form.currentVariant.price * form.getQuantity() : sum;
+        }, 0);
+
+        this.bundles.get(bundle).forEach(({ element }) => {
+            const included = element.querySelector('[data-bundle-include]').checked;
+            element.classList.toggle('opacity-50', !included);
+        });
+
+        const totalEl = bundle.querySelector('[data-bundle-total]');
+        if (totalEl) totalEl.textContent = window.Money.format(total);
+
+        const submitBtn = bundle.querySelector('[data-bundle-submit]');
+        if (submitBtn) submitBtn.disabled = !this._canAdd(selected);
+    },
+
+    /**
+     * Items whose include checkbox is checked
+     * @private
+     */
+    _getSelected(bundle) {
+        return (this.bundles.get(bundle) || []).filter(({ element }) => {
+            return element.querySelector('[data-bundle-include]').checked;
+        });
+    },
+
+    /**
+     * Something is selected and every selected item has an available variant
+     * @private
+     */
+    _canAdd(selected) {
+        return selected.length > 0 && selected.every(({ form }) => form.currentVariant?.available);
+    },
+
+    /**
+     * Id shared by the lines of one bundle add
+     * @private
+     */
+    _createId() {
+        return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    }
+};
+
+// Auto-init (after product-form.js, which is also deferred)
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => Bundle.init());
+} else {
+    Bundle.init();
+}
+
+window.Bundle = Bundle;
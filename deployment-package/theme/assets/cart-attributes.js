@@ -0,0 +1,262 @@
+/**
+ * Cart Attributes Module
+ * Order note, gift message, gift wrap and delivery date fields in the cart drawer.
+ * Fields are configured in the cart-drawer section and saved to /cart/update.js
+ * (debounced) through the shared Cart module. Checkout waits for valid, saved fields.
+ */
+
+const CartAttributes = {
+    DEBOUNCE_MS: 500,
+
+    drawer: null,
+    /** Live fields panel, moved into each freshly rendered drawer */
+    panel: null,
+    /** Fields changed since the last save */
+    dirty: new Set(),
+    saveTimer: null,
+    /** Last save; resolves to whether it reached the cart */
+    saving: Promise.resolve(true),
+
+    /**
+     * Initialize cart attributes
+     */
+    init() {
+        this.drawer = document.querySelector('[data-cart-drawer]');
+        const template = this.drawer?.querySelector('[data-cart-attributes-template]');
+        if (!template) return;
+
+        this.panel = template.content.firstElementChild.cloneNode(true);
+
+        this._setupDeliveryDate();
+        this._getFields().forEach(field => this._updateCounter(field));
+        this._bindEvents();
+        this._attach();
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        this.panel.addEventListener('input', (e) => {
+            const field = e.target.closest('[data-cart-attribute]');
+            if (!field) return;
+
+            this._updateCounter(field);
+            this.validate(field, false);
+            this._queueSave(field);
+        });
+
+        // Report errors once the shopper leaves a field
+        this.panel.addEventListener('change', (e) => {
+            const field = e.target.closest('[data-cart-attribute]');
+            if (field) this.validate(field, true);
+        });
+
+        // Drawer contents are replaced after every cart change
+        document.addEventListener('cart-drawer:rendered', () => this._attach());
+
+        // Gate checkout on valid, saved fields
+        this.drawer.addEventListener('click', async (e) => {
+            const link = e.target.closest('[data-cart-checkout]');
+            if (!link) return;
+
+            e.preventDefault();
+            if (await this.prepareCheckout()) {
+                window.location.href = link.href;
+            }
+        });
+    },
+
+    /**
+     * Validate every field and flush pending saves
+     * @returns {Promise<boolean>} True when checkout may proceed
+     */
+    async prepareCheckout() {
+        const invalid = this._getFields().filter(field => !this.validate(field, true));
+
+        if (invalid.length > 0) {
+            invalid[0].focus();
+            return false;
+        }
+
+        // A failed save has already been reported; the shopper can retry
+        return this.save();
+    },
+
+    /**
+     * Validate a field, optionally showing its error message
+     * @param {HTMLElement} field
+     * @param {boolean} report - Show the message inline
+     * @returns {boolean}
+     */
+    validate(field, report) {
+        if (field.type === 'date') {
+            field.setCustomValidity(this._getDeliveryDateError(field));
+        }
+
+        const valid = field.checkValidity();
+
+        if (report || valid) {
+            const errorEl = field.closest('[data-cart-attribute-field]')?.querySelector('[data-cart-attribute-error]');
+
+            field.setAttribute('aria-invalid', (!valid).toString());
+            if (errorEl) {
+                errorEl.textContent = valid ? '' : field.validationMessage;
+                errorEl.hidden = valid;
+            }
+        }
+
+        return valid;
+    },
+
+    /**
+     * Save every changed, valid field in one /cart/update.js request
+     * Fields of a failed save are marked changed again, so the next save retries them.
+     * @returns {Promise<boolean>} False when the cart could not be updated
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+
+        if (this.dirty.size === 0) return this.saving;
+
+        const payload = { attributes: {} };
+        const fields = Array.from(this.dirty);
+
+        fields.forEach(field => {
+            // Invalid values stay unsaved; checkout is blocked until fixed
+            if (!this.validate(field, false)) return;
+
+            const value = field.type === 'checkbox'
+                ? (field.checked ? field.value : '')
+                : field.value.trim();
+
+            if (field.name === 'note') {
+                payload.note = value;
+            } else {
+                payload.attributes[this._getAttributeName(field)] = value;
+            }
+        });
+
+        this.dirty.clear();
+
+        // Every changed field was invalid: nothing to send
+        if (!('note' in payload) && Object.keys(payload.attributes).length === 0) {
+            return this.saving;
+        }
+
+        this.saving = window.Cart.update(payload).then(() => true, e => {
+            fields.forEach(field => this.dirty.add(field));
+            window.Notifications.toast(e.message);
+            return false;
+        });
+
+        return this.saving;
+    },
+
+    /**
+     * Mark a field as changed and schedule a save
+     * @private
+     */
+    _queueSave(field) {
+        this.dirty.add(field);
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.DEBOUNCE_MS);
+    },
+
+    /**
+     * Move the fields panel into the current drawer contents
+     * @private
+     */
+    _attach() {
+        const slot = this.drawer.querySelector('[data-cart-attributes-slot]');
+        if (slot && !slot.contains(this.panel)) {
+            slot.appendChild(this.panel);
+        }
+    },
+
+    /**
+     * Set the earliest selectable delivery date
+     * @private
+     */
+    _setupDeliveryDate() {
+        this.panel.querySelectorAll('input[type="date"][data-cart-attribute]').forEach(field => {
+            field.min = this._getEarliestDeliveryDate(field);
+        });
+    },
+
+    /**
+     * Validation message for a delivery date field ('' when valid)
+     * @private
+     */
+    _getDeliveryDateError(field) {
+        const value = field.value;
+
+        if (!value) {
+            return field.required ? field.dataset.errorRequired : '';
+        }
+
+        const earliest = this._getEarliestDeliveryDate(field);
+        if (value < earliest) {
+            return field.dataset.errorTooSoon.replace('[date]', earliest);
+        }
+
+        const blackoutDates = (field.dataset.deliveryBlackoutDates || '').split(/[\s,]+/).filter(Boolean);
+        if (blackoutDates.includes(value)) {
+            return field.dataset.errorUnavailable;
+        }
+
+        return '';
+    },
+
+    /**
+     * Today plus the configured lead time, as YYYY-MM-DD in local time
+     * @private
+     */
+    _getEarliestDeliveryDate(field) {
+        const date = new Date();
+        date.setDate(date.getDate() + (parseInt(field.dataset.deliveryMinDays, 10) || 0));
+
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Update a field's "characters left" counter
+     * @private
+     */
+    _updateCounter(field) {
+        const counter = field.closest('[data-cart-attribute-field]')?.querySelector('[data-cart-attribute-counter]');
+        if (!counter || field.maxLength < 0) return;
+
+        const remaining = field.maxLength - field.value.length;
+        counter.textContent = counter.dataset.cartAttributeCounter.replace('[count]', remaining);
+    },
+
+    /**
+     * Attribute name from a field named attributes[Name]
+     * @private
+     */
+    _getAttributeName(field) {
+        return field.name.replace(/^attributes\[(.*)\]$/, '$1');
+    },
+
+    /**
+     * All attribute fields
+     * @private
+     */
+    _getFields() {
+        return Array.from(this.panel.querySelectorAll('[data-cart-attribute]'));
+    }
+};
+
+// Auto-init
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => CartAttributes.init());
+} else {
+    CartAttributes.init();
+}
+
+window.CartAttributes = CartAttributes;
@@ -1,13 +1,25 @@
 /**
  * Cart Drawer Module
- * AJAX cart functionality with drawer UI
+ * Drawer UI built on the shared Cart module (cart.js)
  */
 
 const CartDrawer = {
+    SECTION_ID: 'cart-drawer-contents',
+
     drawer: null,
     overlay: null,
     isOpen: false,
 
+    /** Optimistic state: line key → quantity not yet confirmed by Shopify */
+    pending: new Map(),
+    /** Line keys with a queued request */
+    scheduled: new Set(),
+    /** Line key → message for changes Shopify rejected */
+    errors: new Map(),
+    /** Section HTML returned with the last confirmed change */
+    renderedSection: null,
+    queue: Promise.resolve(),
+
     /**
      * Initialize cart drawer
      */
@@ -17,6 +29,12 @@ const CartDrawer = {
 
         if (!this.drawer) return;
 
+        // Toggles announce the drawer's state
+        document.querySelectorAll('[data-cart-drawer-toggle]').forEach(btn => {
+            btn.setAttribute('aria-controls', this.drawer.id);
+            btn.setAttribute('aria-expanded', 'false');
+        });
+
         this._bindEvents();
         this.updateCount();
     },
@@ -34,9 +52,9 @@ const CartDrawer = {
             });
         });
 
-        // Close drawer
-        document.querySelectorAll('[data-cart-drawer-close]').forEach(btn => {
-            btn.addEventListener('click', () => this.close());
+        // Close drawer (delegated — close buttons are re-rendered with the contents)
+        this.drawer.addEventListener('click', (e) => {
+            if (e.target.closest('[data-cart-drawer-close]')) this.close();
         });
 
         // Close on overlay click
@@ -51,15 +69,29 @@ const CartDrawer = {
             }
         });
 
-        // Intercept add-to-cart forms
+        // Intercept add-to-cart forms (product page forms are owned by ProductForm)
         document.addEventListener('submit', async (e) => {
             const form = e.target.closest('form[action*="/cart/add"]');
-            if (!form) return;
+            if (!form || e.defaultPrevented || form.closest('[data-product-form]')) return;
 
             e.preventDefault();
             await this.addItem(form);
         });
 
+        // React to cart changes from any source
+        document.addEventListener('cart:item-added', () => {
+            // open() refreshes; an already open drawer only needs the new contents
+            if (this.isOpen) {
+                this.refresh();
+            } else {
+                this.open();
+            }
+        });
+
+        document.addEventListener('cart:changed', () => {
+            this._renderCount();
+        });
+
         // Quantity change handlers (delegated)
         this.drawer.addEventListener('click', async (e) => {
             const minusBtn = e.target.closest('[data-cart-quantity-minus]');
@@ -77,6 +109,22 @@ const CartDrawer = {
                 await this.removeItem(key);
             }
         });
+
+        // Discount codes (delegated — the form is re-rendered with the contents)
+        this.drawer.addEventListener('submit', async (e) => {
+            const form = e.target.closest('[data-cart-discount-form]');
+            if (!form) return;
+
+            e.preventDefault();
+            await this.applyDiscount(form.elements.discount.value);
+        });
+
+        this.drawer.addEventListener('click', async (e) => {
+            const removeBtn = e.target.closest('[data-cart-discount-remove]');
+            if (removeBtn) {
+                await this.removeDiscount(removeBtn.dataset.cartDiscountRemove);
+            }
+        });
     },
 
     /**
@@ -86,15 +134,19 @@ const CartDrawer = {
         if (this.isOpen) return;
 
         this.isOpen = true;
+        const opener = document.activeElement;
         await this.refresh();
 
         this.drawer.classList.add('is-open');
         this.overlay?.classList.add('is-visible');
         document.body.style.overflow = 'hidden';
 
-        // Focus first interactive element
-        const firstFocusable = this.drawer.querySelector('a, button');
-        firstFocusable?.focus();
+        // Trap focus, make the page inert and remember where to return focus
+        window.A11y.openDialog(this.drawer, {
+            opener,
+            exclude: [this.overlay]
+        });
+        window.A11y.syncExpanded('[data-cart-drawer-toggle]', true);
     },
 
     /**
@@ -107,6 +159,9 @@ const CartDrawer = {
         this.drawer.classList.remove('is-open');
         this.overlay?.classList.remove('is-visible');
         document.body.style.overflow = '';
+
+        window.A11y.closeDialog(this.drawer);
+        window.A11y.syncExpanded('[data-cart-drawer-toggle]', false);
     },
 
     /**
@@ -123,35 +178,21 @@ const CartDrawer = {
     async addItem(form) {
         const submitBtn = form.querySelector('[type="submit"]');
         const originalText = submitBtn?.textContent;
+        // Compact cards lay the form out in a row; show messages below the whole card
+        const messageAnchor = form.closest('[data-cart-upsell-product]') || form;
+
+        window.Notifications.clear(messageAnchor);
 
         if (submitBtn) {
             submitBtn.disabled = true;
-            submitBtn.textContent = 'Adding...';
+            submitBtn.textContent = window.I18n.t('products.product.adding');
         }
 
         try {
-            const formData = new FormData(form);
-            const response = await fetch(window.routes.cart_add_url + '.js', {
-                method: 'POST',
-                body: formData
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.description || 'Failed to add item');
-            }
-
-            await this.refresh();
-            this.open();
-
-            // Dispatch event
-            document.dispatchEvent(new CustomEvent('cart:add', {
-                detail: await response.json()
-            }));
-
+            // Drawer refresh and open happen in the cart:item-added listener
+            await window.Cart.add(new FormData(form));
         } catch (e) {
-            console.error('CartDrawer: Add failed', e);
-            alert(e.message || 'Failed to add item to cart');
+            window.Notifications.inline(messageAnchor, e.message);
         } finally {
             if (submitBtn) {
                 submitBtn.disabled = false;
@@ -161,56 +202,140 @@ const CartDrawer = {
     },
 
     /**
-     * Change item quantity
+     * Change item quantity by one increment, within the line's quantity rule
      * @param {string} key - Line item key
-     * @param {number} change - Amount to change (+1 or -1)
+     * @param {number} change - Direction (+1 or -1); below the minimum removes the line
      */
-    async changeQuantity(key, change) {
-        const itemRow = this.drawer.querySelector(`[data-cart-item="${key}"]`);
-        const quantityEl = itemRow?.querySelector('[data-cart-item-quantity]');
-        const currentQty = parseInt(quantityEl?.textContent || '1', 10);
-        const newQty = Math.max(0, currentQty + change);
+    changeQuantity(key, change) {
+        const current = this._getQuantity(key);
+        const quantity = window.QuantityRules.step(current, Math.sign(change), this._getQuantityRule(key), { allowZero: true });
 
-        if (newQty === 0) {
-            await this.removeItem(key);
-            return;
-        }
-
-        await this.updateItem(key, newQty);
+        if (quantity === current) return this.queue;
+        return this.updateItem(key, quantity);
     },
 
     /**
      * Update item quantity
+     * Applies the change to the drawer and badges immediately, then queues the
+     * request. Rapid changes to the same line merge into a single request; a
+     * rejected change rolls back to the last confirmed cart with an inline message.
      * @param {string} key - Line item key
      * @param {number} quantity
      */
-    async updateItem(key, quantity) {
-        this._setLoading(true);
+    updateItem(key, quantity) {
+        this.pending.set(key, quantity);
+        this.errors.delete(key);
+
+        this._renderLine(key, quantity);
+        this._renderCount();
+
+        if (!this.scheduled.has(key)) {
+            this.scheduled.add(key);
+            this.queue = this.queue.then(() => this._flush(key));
+        }
+
+        return this.queue;
+    },
+
+    /**
+     * Remove item from cart
+     * @param {string} key - Line item key
+     */
+    removeItem(key) {
+        return this.updateItem(key, 0);
+    },
+
+    /**
+     * Apply a discount code, keeping codes already on the cart
+     * @param {string} code
+     */
+    async applyDiscount(code) {
+        code = code.trim();
+        if (!code) return;
+
+        const form = this.drawer.querySelector('[data-cart-discount-form]');
+        const codes = this._getDiscountCodes().filter(c => c.toLowerCase() !== code.toLowerCase());
+        let message = '';
 
         try {
-            const response = await fetch(window.routes.cart_change_url + '.js', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ id: key, quantity })
-            });
+            const cart = await window.Cart.updateDiscounts([...codes, code]);
+            const applied = cart.discount_codes?.find(d => d.code.toLowerCase() === code.toLowerCase());
 
-            if (!response.ok) throw new Error('Update failed');
+            // Shopify keeps a code that doesn't apply, without a chip to remove it: drop it again
+            if (applied && !applied.applicable) {
+                message = form.dataset.errorInvalid.replace('[code]', applied.code);
+                await window.Cart.updateDiscounts(codes);
+            }
+        } catch (e) {
+            message = e.message;
+        }
 
-            await this.refresh();
+        await this.refresh();
+        this._renderDiscountError(message);
+    },
 
+    /**
+     * Remove a discount code
+     * @param {string} code
+     */
+    async removeDiscount(code) {
+        const codes = this._getDiscountCodes().filter(c => c.toLowerCase() !== code.toLowerCase());
+
+        try {
+            await window.Cart.updateDiscounts(codes);
         } catch (e) {
-            console.error('CartDrawer: Update failed', e);
-        } finally {
-            this._setLoading(false);
+            window.Notifications.toast(e.message);
         }
+
+        await this.refresh();
     },
 
     /**
-     * Remove item from cart
+     * Send the latest pending quantity for a line
+     * @private
      * @param {string} key - Line item key
      */
-    async removeItem(key) {
-        await this.updateItem(key, 0);
+    async _flush(key) {
+        this.scheduled.delete(key);
+
+        // A rejected change clears pending, so queued follow-ups become no-ops
+        if (this.pending.has(key)) {
+            const quantity = this.pending.get(key);
+
+            try {
+                const cart = await window.Cart.change(key, quantity, { sections: this.SECTION_ID });
+                this.renderedSection = cart.sections?.[this.SECTION_ID] || null;
+
+                // Keep newer taps that arrived while this request was in flight
+                if (!this.scheduled.has(key)) {
+                    this.pending.delete(key);
+                    this._announceQuantity(quantity);
+                }
+            } catch (e) {
+                this.pending.delete(key);
+                this.errors.set(key, e.message);
+            }
+        }
+
+        if (this.scheduled.size === 0) {
+            await this._settle();
+        }
+    },
+
+    /**
+     * Re-render the drawer once every queued change has settled
+     * @private
+     */
+    async _settle() {
+        if (this.renderedSection && this.errors.size === 0) {
+            this._renderContents(this.renderedSection);
+        } else {
+            await this.refresh();
+        }
+
+        this.renderedSection = null;
+        this._renderErrors();
+        this._renderCount();
     },
 
     /**
@@ -218,20 +343,10 @@ const CartDrawer = {
      */
     async refresh() {
         try {
-            const response = await fetch(`${window.routes.cart_url}?section_id=cart-drawer-contents`);
+            const response = await fetch(`${window.routes.cart_url}?section_id=${this.SECTION_ID}`);
             if (!response.ok) throw new Error('Refresh failed');
 
-            const text = await response.text();
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(text, 'text/html');
-            const newContent = doc.querySelector('#shopify-section-cart-drawer-contents');
-
-            const contentContainer = this.drawer.querySelector('[data-cart-drawer-contents]');
-            if (contentContainer && newContent) {
-                contentContainer.innerHTML = newContent.innerHTML;
-            }
-
-            this.updateCount();
+            this._renderContents(await response.text());
 
         } catch (e) {
             console.error('CartDrawer: Refresh failed', e);
@@ -239,17 +354,12 @@ const CartDrawer = {
     },
 
     /**
-     * Update cart count badge
+     * Fetch the cart and update the count badge
      */
     async updateCount() {
         try {
-            const response = await fetch(`${window.routes.cart_url}.js`);
-            const cart = await response.json();
-
-            document.querySelectorAll('[data-cart-count]').forEach(el => {
-                el.textContent = cart.item_count;
-                el.style.display = cart.item_count > 0 ? '' : 'none';
-            });
+            await window.Cart.get();
+            this._renderCount();
 
         } catch (e) {
             console.error('CartDrawer: Count update failed', e);
@@ -257,11 +367,150 @@ const CartDrawer = {
     },
 
     /**
-     * Set loading state
+     * Swap drawer contents for a rendered cart-drawer-contents section
+     * Dispatches cart-drawer:rendered so add-ons can fill their slots again
+     * @private
+     * @param {string} html - Section Rendering API response
+     */
+    _renderContents(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const newContent = doc.querySelector(`#shopify-section-${this.SECTION_ID}`);
+
+        const contentContainer = this.drawer.querySelector('[data-cart-drawer-contents]');
+        if (contentContainer && newContent) {
+            contentContainer.innerHTML = newContent.innerHTML;
+            document.dispatchEvent(new CustomEvent('cart-drawer:rendered', {
+                detail: { container: contentContainer }
+            }));
+        }
+    },
+
+    /**
+     * Show a pending quantity on a line before the server confirms it
+     * @private
+     */
+    _renderLine(key, quantity) {
+        const itemRow = this.drawer.querySelector(`[data-cart-item="${key}"]`);
+        if (!itemRow) return;
+
+        const quantityEl = itemRow.querySelector('[data-cart-item-quantity]');
+        if (quantityEl) quantityEl.textContent = quantity;
+
+        const plusBtn = itemRow.querySelector('[data-cart-quantity-plus]');
+        if (plusBtn) plusBtn.disabled = !window.QuantityRules.canIncrease(quantity, this._getQuantityRule(key));
+
+        const errorEl = itemRow.querySelector('[data-cart-item-error]');
+        if (errorEl) errorEl.hidden = true;
+
+        itemRow.style.display = quantity === 0 ? 'none' : '';
+        itemRow.classList.add('is-pending');
+        itemRow.setAttribute('aria-busy', 'true');
+    },
+
+    /**
+     * Show rollback messages on lines whose change was rejected
+     * @private
+     */
+    _renderErrors() {
+        this.errors.forEach((message, key) => {
+            const errorEl = this.drawer.querySelector(`[data-cart-item="${key}"] [data-cart-item-error]`);
+            if (!errorEl) return;
+
+            errorEl.textContent = message;
+            errorEl.hidden = false;
+        });
+
+        this.errors.clear();
+    },
+
+    /**
+     * Tell screen reader users a line changed
+     * @private
+     */
+    _announceQuantity(quantity) {
+        const message = quantity === 0
+            ? window.I18n.t('cart.general.item_removed')
+            : window.I18n.t('cart.general.quantity_updated', { quantity });
+
+        window.A11y.announce(message);
+    },
+
+    /**
+     * Show (or clear) the discount code message below the form
+     * @private
+     */
+    _renderDiscountError(message) {
+        const errorEl = this.drawer.querySelector('[data-cart-discount-error]');
+        if (!errorEl) return;
+
+        errorEl.textContent = message;
+        errorEl.hidden = !message;
+    },
+
+    /**
+     * Codes currently on the cart, applicable or not
+     * @private
+     */
+    _getDiscountCodes() {
+        return (window.Cart.cart?.discount_codes || []).map(d => d.code);
+    },
+
+    /**
+     * Render the count badges from the confirmed cart plus pending changes
+     * @private
+     */
+    _renderCount() {
+        const cart = window.Cart.cart;
+        if (!cart) return;
+
+        let count = cart.item_count;
+        this.pending.forEach((quantity, key) => {
+            count += quantity - this._getConfirmedQuantity(key);
+        });
+
+        document.querySelectorAll('[data-cart-count]').forEach(el => {
+            el.textContent = count;
+            el.style.display = count > 0 ? '' : 'none';
+        });
+    },
+
+    /**
+     * Current quantity of a line, including pending changes
+     * @private
+     */
+    _getQuantity(key) {
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        const confirmed = this._getConfirmedQuantity(key);
+        if (confirmed || window.Cart.cart) return confirmed;
+
+        // Cart JSON not loaded yet — fall back to the rendered quantity
+        const quantityEl = this.drawer.querySelector(`[data-cart-item="${key}"] [data-cart-item-quantity]`);
+        return parseInt(quantityEl?.textContent || '0', 10);
+    },
+
+    /**
+     * Quantity rule rendered on a line (max already includes the inventory cap)
+     * @private
+     */
+    _getQuantityRule(key) {
+        const itemRow = this.drawer.querySelector(`[data-cart-item="${key}"]`);
+        const { quantityMin, quantityMax, quantityIncrement } = itemRow?.dataset || {};
+
+        return {
+            min: parseInt(quantityMin, 10) || 1,
+            max: quantityMax !== undefined ? parseInt(quantityMax, 10) : null,
+            increment: parseInt(quantityIncrement, 10) || 1
+        };
+    },
+
+    /**
+     * Quantity of a line in the last cart confirmed by Shopify
      * @private
      */
-    _setLoading(loading) {
-        this.drawer.classList.toggle('is-loading', loading);
+    _getConfirmedQuantity(key) {
+        const item = window.Cart.cart?.items.find(i => i.key === key);
+        return item ? item.quantity : 0;
     }
 };
 
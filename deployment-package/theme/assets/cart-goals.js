@@ -0,0 +1,153 @@
+/**
+ * Cart Goals Module
+ * Free shipping and gift-with-purchase progress, computed from the cart JSON
+ * on every cart:changed event. Thresholds come from theme settings via
+ * window.theme.cartGoals (see layout/theme.liquid).
+ */
+
+const CartGoals = {
+    GIFT_PROPERTY: '_cart_goal',
+
+    config: null,
+    containers: [],
+    syncing: false,
+
+    /**
+     * Initialize cart goals
+     */
+    init() {
+        this.config = window.theme?.cartGoals;
+        this.containers = document.querySelectorAll('[data-cart-goals]');
+
+        if (!this.config || this.config.goals.length === 0) return;
+
+        document.addEventListener('cart:changed', (e) => this.update(e.detail.cart));
+
+        window.Cart.get()
+            .then(cart => this.update(cart))
+            .catch(e => console.error('CartGoals: Failed to load cart', e));
+    },
+
+    /**
+     * Compute progress for every configured goal
+     * @param {Object} cart - Cart JSON
+     * @returns {Array} Goals with threshold, remaining (cents), progress (0-1) and reached
+     */
+    getProgress(cart) {
+        const total = this._getQualifyingTotal(cart);
+
+        return this.config.goals.map(goal => {
+            const threshold = window.Money.convert(goal.threshold);
+
+            return {
+                ...goal,
+                threshold,
+                remaining: Math.max(0, threshold - total),
+                progress: threshold > 0 ? Math.min(1, total / threshold) : 1,
+                reached: total >= threshold
+            };
+        });
+    },
+
+    /**
+     * Re-render progress and keep the gift line in sync
+     * @param {Object} cart - Cart JSON
+     */
+    async update(cart) {
+        if (!cart) return;
+
+        const goals = this.getProgress(cart);
+        this.render(cart, goals);
+
+        await this._syncGift(cart, goals.find(goal => goal.id === 'gift'));
+    },
+
+    /**
+     * Render progress bars and messages
+     * @param {Object} cart - Cart JSON
+     * @param {Array} goals - Output of getProgress()
+     */
+    render(cart, goals) {
+        this.containers.forEach(container => {
+            container.hidden = cart.item_count === 0;
+
+            goals.forEach(goal => {
+                const goalEl = container.querySelector(`[data-cart-goal="${goal.id}"]`);
+                if (!goalEl) return;
+
+                const percent = Math.round(goal.progress * 100);
+                const bar = goalEl.querySelector('[data-cart-goal-bar]');
+                const message = goalEl.querySelector('[data-cart-goal-message]');
+
+                goalEl.classList.toggle('is-reached', goal.reached);
+                bar.style.width = `${percent}%`;
+                bar.parentElement.setAttribute('aria-valuenow', percent);
+
+                message.textContent = goal.reached
+                    ? goal.messages.reached
+                    : goal.messages.remaining.replace('[amount]', window.Money.format(goal.remaining));
+            });
+        });
+    },
+
+    /**
+     * Add the gift line when its threshold is reached, remove it when it no longer is
+     * @private
+     */
+    async _syncGift(cart, goal) {
+        if (!goal?.variantId || this.syncing) return;
+
+        const giftLine = this._getGiftLine(cart);
+        if (goal.reached === Boolean(giftLine)) return;
+
+        this.syncing = true;
+
+        try {
+            // Silent: cart:item-added would reopen the drawer for a line the shopper didn't add
+            if (goal.reached) {
+                await window.Cart.add({
+                    items: [{ id: goal.variantId, quantity: 1, properties: { [this.GIFT_PROPERTY]: 'gift' } }]
+                }, { silent: true });
+            } else {
+                await window.Cart.change(giftLine.key, 0);
+            }
+
+            if (Array.from(this.containers).some(el => el.hasAttribute('data-cart-goals-reload'))) {
+                window.location.reload();
+                return;
+            }
+
+            await window.CartDrawer?.refresh();
+        } catch (e) {
+            // Already logged and broadcast as cart:error by Cart
+        } finally {
+            this.syncing = false;
+        }
+    },
+
+    /**
+     * Line added by the gift goal, if any
+     * @private
+     */
+    _getGiftLine(cart) {
+        return cart.items.find(item => item.properties?.[this.GIFT_PROPERTY] === 'gift');
+    },
+
+    /**
+     * Cart total that counts toward goals (the gift itself never does)
+     * @private
+     */
+    _getQualifyingTotal(cart) {
+        const giftLine = this._getGiftLine(cart);
+        return cart.total_price - (giftLine ? giftLine.final_line_price : 0);
+    }
+};
+
+// Auto-init
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => CartGoals.init());
+} else {
+    CartGoals.init();
+}
+
+window.CartGoals = CartGoals;
@@ -0,0 +1,123 @@
+/**
+ * Cart Upsell Module
+ * Loads complementary products for the items in the cart into the drawer.
+ * Cards come from the product-recommendations section (intent=complementary)
+ * and add to cart through CartDrawer's form interception.
+ */
+
+const CartUpsell = {
+    SECTION_ID: 'product-recommendations',
+    MAX_SOURCE_PRODUCTS: 3,
+
+    drawer: null,
+    template: null,
+    limit: 3,
+    /** Product id → Promise of card elements */
+    cache: new Map(),
+    renderId: 0,
+
+    /**
+     * Initialize cart upsell
+     */
+    init() {
+        this.drawer = document.querySelector('[data-cart-drawer][data-cart-upsell-limit]');
+        if (!this.drawer) return;
+
+        this.template = this.drawer.querySelector('[data-cart-upsell-template]');
+        this.limit = parseInt(this.drawer.dataset.cartUpsellLimit, 10) || this.limit;
+
+        // Drawer contents are replaced after every cart change
+        document.addEventListener('cart-drawer:rendered', () => this.render());
+    },
+
+    /**
+     * Fill the drawer's upsell slot for the current cart
+     */
+    async render() {
+        const renderId = ++this.renderId;
+
+        try {
+            const cart = window.Cart.cart || await window.Cart.get();
+            const cards = await this.getRecommendations(cart);
+
+            // A newer render started while this one was loading
+            if (renderId !== this.renderId) return;
+
+            const slot = this.drawer.querySelector('[data-cart-upsell]');
+            if (!slot || !this.template) return;
+
+            if (cards.length === 0) {
+                slot.innerHTML = '';
+                return;
+            }
+
+            const fragment = this.template.content.cloneNode(true);
+            const list = fragment.querySelector('[data-cart-upsell-products]');
+            cards.forEach(card => list.appendChild(card.cloneNode(true)));
+
+            slot.replaceChildren(fragment);
+        } catch (e) {
+            console.error('CartUpsell: Render failed', e);
+        }
+    },
+
+    /**
+     * Complementary product cards for a cart, excluding products already in it
+     * @param {Object} cart - Cart JSON
+     * @returns {Promise<Array<HTMLElement>>}
+     */
+    async getRecommendations(cart) {
+        const inCart = new Set(cart.items.map(item => item.product_id));
+        const sources = Array.from(inCart).slice(0, this.MAX_SOURCE_PRODUCTS);
+        const results = await Promise.all(sources.map(id => this._fetch(id)));
+
+        const seen = new Set();
+
+        return results.flat().filter(card => {
+            const productId = parseInt(card.dataset.cartUpsellProduct, 10);
+            if (inCart.has(productId) || seen.has(productId)) return false;
+
+            seen.add(productId);
+            return true;
+        }).slice(0, this.limit);
+    },
+
+    /**
+     * Fetch complementary cards for one product (cached per page view)
+     * @private
+     * @param {number} productId
+     * @returns {Promise<Array<HTMLElement>>}
+     */
+    _fetch(productId) {
+        if (!this.cache.has(productId)) {
+            // Over-fetch so cards for products already in the cart can be dropped
+            const url = `${window.routes.product_recommendations_url}?section_id=${this.SECTION_ID}` +
+                `&product_id=${productId}&limit=${this.limit + this.MAX_SOURCE_PRODUCTS}&intent=complementary`;
+
+            const request = fetch(url)
+                .then(response => response.ok ? response.text() : '')
+                .then(text => {
+                    const doc = new DOMParser().parseFromString(text, 'text/html');
+                    return Array.from(doc.querySelectorAll('[data-cart-upsell-product]'));
+                })
+                .catch(e => {
+                    console.error('CartUpsell: Failed to fetch recommendations', e);
+                    this.cache.delete(productId);
+                    return [];
+                });
+
+            this.cache.set(productId, request);
+        }
+
+        return this.cache.get(productId);
+    }
+};
+
+// Auto-init
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => CartUpsell.init());
+} else {
+    CartUpsell.init();
+}
+
+window.CartUpsell = CartUpsell;
@@ -0,0 +1,203 @@
+/**
+ * Cart Module
+ * Owns every AJAX cart request (/cart/add.js, /cart/change.js, /cart/update.js)
+ * so the product form and cart drawer share one source of truth.
+ * Mutations are serialized: each request starts after the previous one settles.
+ *
+ * Events (dispatched on document, detail always includes the full cart JSON):
+ * - cart:request-start  { action, payload }
+ * - cart:item-added     { action, items, cart }
+ * - cart:changed        { action, cart }
+ * - cart:error          { action, message, status, cart }
+ */
+
+const Cart = {
+    EVENTS: {
+        REQUEST_START: 'cart:request-start',
+        ITEM_ADDED: 'cart:item-added',
+        CHANGED: 'cart:changed',
+        ERROR: 'cart:error'
+    },
+
+    /** Last cart JSON received from Shopify */
+    cart: null,
+
+    /** Tail of the mutation queue */
+    _queue: Promise.resolve(),
+
+    /** In-flight /cart.js request, shared by concurrent get() callers (never reused after a mutation) */
+    _fetching: null,
+
+    /**
+     * Fetch the current cart
+     * @returns {Promise<Object>} Cart JSON
+     */
+    get() {
+        if (!this._fetching) {
+            this._fetching = this._fetchCart().finally(() => {
+                this._fetching = null;
+            });
+        }
+
+        return this._fetching;
+    },
+
+    /**
+     * Add one or more items to the cart
+     * @param {FormData|Object} payload - Product form data, or { items: [...] }
+     * @param {Object} [options]
+     * @param {boolean} [options.silent] - Skip cart:item-added (e.g. when redirecting to checkout)
+     * @returns {Promise<Object>} Cart JSON
+     */
+    async add(payload, options = {}) {
+        return this._request('add', window.routes.cart_add_url, payload, async (result) => {
+            // Not get(): a /cart.js already in flight predates this add
+            const cart = await this._fetchCart();
+            const items = result.items || [result];
+
+            if (!options.silent) {
+                this._dispatch(this.EVENTS.ITEM_ADDED, { action: 'add', items, cart });
+            }
+            return cart;
+        });
+    },
+
+    /**
+     * Change the quantity of a single line
+     * @param {string} key - Line item key
+     * @param {number} quantity
+     * @param {Object} [options]
+     * @param {string} [options.sections] - Section ids to render in the same response (cart.sections)
+     * @returns {Promise<Object>} Cart JSON
+     */
+    async change(key, quantity, options = {}) {
+        const payload = { id: key, quantity };
+
+        if (options.sections) {
+            payload.sections = options.sections;
+            payload.sections_url = window.location.pathname;
+        }
+
+        return this._request('change', window.routes.cart_change_url, payload);
+    },
+
+    /**
+     * Update quantities, note or attributes
+     * @param {Object} payload - { updates, note, attributes, discount }
+     * @returns {Promise<Object>} Cart JSON
+     */
+    async update(payload) {
+        return this._request('update', window.routes.cart_update_url, payload);
+    },
+
+    /**
+     * Replace the cart's discount codes
+     * Falls back to the /discount/CODE redirect flow on shops where
+     * /cart/update.js ignores the discount parameter. That flow can only add
+     * a code, so removing the last one there throws.
+     * @param {Array<string>} codes - Every code that should remain applied
+     * @returns {Promise<Object>} Cart JSON (check discount_codes[].applicable)
+     */
+    async updateDiscounts(codes) {
+        const cart = await this.update({ discount: codes.join(',') });
+        if (cart.discount_codes) return cart;
+
+        if (codes.length === 0) {
+            throw new Error(window.I18n.t('cart.errors.discount_remove'));
+        }
+
+        const root = window.Shopify?.routes?.root || '/';
+        const code = codes[codes.length - 1];
+        await fetch(`${root}discount/${encodeURIComponent(code)}`);
+
+        return this._fetchCart();
+    },
+
+    /**
+     * Request /cart.js
+     * @private
+     */
+    async _fetchCart() {
+        const response = await fetch(`${window.routes.cart_url}.js`, {
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (!response.ok) throw new Error('Failed to fetch cart');
+
+        this.cart = await response.json();
+        return this.cart;
+    },
+
+    /**
+     * Queue a cart request behind any in-flight mutation
+     * @private
+     * @param {string} action - 'add', 'change' or 'update'
+     * @param {string} url - Route without the .js suffix
+     * @param {FormData|Object} payload
+     * @param {Function} [resolveCart] - Maps the response to cart JSON (defaults to the response itself)
+     */
+    _request(action, url, payload, resolveCart) {
+        const run = () => this._send(action, url, payload, resolveCart);
+        const result = this._queue.then(run, run);
+
+        this._queue = result.catch(() => {});
+        return result;
+    },
+
+    /**
+     * Send a cart request and broadcast its outcome
+     * @private
+     */
+    async _send(action, url, payload, resolveCart) {
+        this._dispatch(this.EVENTS.REQUEST_START, { action, payload });
+
+        try {
+            const isFormData = payload instanceof FormData;
+            const response = await fetch(`${url}.js`, {
+                method: 'POST',
+                headers: isFormData
+                    ? { 'Accept': 'application/json' }
+                    : { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: isFormData ? payload : JSON.stringify(payload)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || result.status) {
+                const error = new Error(result.description || result.message || window.I18n.t('cart.errors.generic'));
+                error.status = response.status;
+                throw error;
+            }
+
+            const cart = resolveCart ? await resolveCart(result) : result;
+            this.cart = cart;
+
+            this._dispatch(this.EVENTS.CHANGED, { action, cart });
+            return cart;
+
+        } catch (e) {
+            console.error(`Cart: ${action} failed`, e);
+
+            // Shopify's error descriptions are shopper-facing; network and parse errors are not
+            const error = e.status ? e : Object.assign(new Error(window.I18n.t('cart.errors.generic')), { status: 0 });
+
+            this._dispatch(this.EVENTS.ERROR, {
+                action,
+                message: error.message,
+                status: error.status,
+                cart: this.cart
+            });
+            throw error;
+        }
+    },
+
+    /**
+     * Dispatch custom event
+     * @private
+     */
+    _dispatch(eventName, detail) {
+        document.dispatchEvent(new CustomEvent(eventName, { detail }));
+    }
+};
+
+window.Cart = Cart;
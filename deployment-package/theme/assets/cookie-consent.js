@@ -83,6 +83,11 @@ const CookieConsent = {
         document.querySelectorAll('[data-cookie-save]').forEach(btn => {
             btn.addEventListener('click', () => this.savePreferences());
         });
+
+        // Close preferences on escape
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hidePreferences();
+        });
     },
 
     /**
@@ -139,6 +144,18 @@ const CookieConsent = {
         const preferencesPanel = document.querySelector('[data-cookie-preferences]');
         if (preferencesPanel) {
             preferencesPanel.classList.add('is-visible');
+            window.A11y?.openDialog(preferencesPanel);
+        }
+    },
+
+    /**
+     * Hide preferences panel without saving
+     */
+    hidePreferences() {
+        const preferencesPanel = document.querySelector('[data-cookie-preferences]');
+        if (preferencesPanel?.classList.contains('is-visible')) {
+            preferencesPanel.classList.remove('is-visible');
+            window.A11y?.closeDialog(preferencesPanel);
         }
     },
 
@@ -158,11 +175,7 @@ const CookieConsent = {
 
         this._setConsent(consent);
         this._hideBanner();
-
-        const preferencesPanel = document.querySelector('[data-cookie-preferences]');
-        if (preferencesPanel) {
-            preferencesPanel.classList.remove('is-visible');
-        }
+        this.hidePreferences();
 
         if (consent.analytics || consent.marketing) {
             this._loadTrackingScripts();
@@ -0,0 +1,359 @@
+/**
+ * Facets Module
+ * Filtering, sorting and pagination without page loads on main-collection
+ * and main-search ([data-facets] sections).
+ *
+ * Shopify's storefront filter params (filter.v.option.*, filter.v.price.gte/lte,
+ * filter.p.vendor, sort_by) come from the facets form; links ([data-facets-link]:
+ * chips, clear all, pagination) carry their own. The section is fetched through
+ * the Section Rendering API and its [data-facets-part] elements swapped in.
+ * The URL follows with pushState, so back/forward restores the state.
+ */
+
+const Facets = {
+    DEBOUNCE_MS: 400,
+    /** Responses kept for back/forward and repeated filters */
+    CACHE_SIZE: 20,
+
+    container: null,
+    form: null,
+    drawer: null,
+    overlay: null,
+    sectionId: null,
+    debounceTimer: null,
+    /** Query string → section HTML */
+    cache: new Map(),
+    /** Aborts the current request */
+    abortController: null,
+    /** Incremented per render so late responses are dropped */
+    requestId: 0,
+
+    /**
+     * Initialize facets on the page
+     */
+    init() {
+        this.container = document.querySelector('[data-facets]');
+        if (!this.container) return;
+
+        this.sectionId = this.container.dataset.sectionId;
+        this.form = this.container.querySelector('[data-facets-form]');
+        this.drawer = this.container.querySelector('[data-facets-drawer]');
+        this.overlay = this.container.querySelector('[data-facets-overlay]');
+
+        this._bindEvents();
+        this.container.querySelectorAll('[data-facets-price]').forEach(price => this._renderPriceFill(price));
+
+        // Mark the entry the page loaded with, so popstate back to it renders
+        window.history.replaceState({ ...window.history.state, facets: true }, '', window.location.href);
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        // Filters and the sort select (which joins the form with form="")
+        this.container.addEventListener('change', (e) => {
+            if (!this.form || e.target.form !== this.form) return;
+
+            const price = e.target.closest('[data-facets-price]');
+            if (price && e.target.matches('[data-facets-price-input]')) this._syncSlider(price);
+
+            this._debounce(() => this.apply());
+        });
+
+        this.container.addEventListener('input', (e) => {
+            const price = e.target.closest('[data-facets-price]');
+            if (price && e.target.matches('[data-facets-price-thumb]')) this._syncInputs(price, e.target);
+        });
+
+        this.form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.apply();
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-facets-link]');
+            if (link) {
+                e.preventDefault();
+                this.render(new URL(link.href).searchParams, {
+                    scroll: Boolean(link.closest('[data-facets-pagination]'))
+                });
+                return;
+            }
+
+            if (e.target.closest('[data-facets-drawer-open]')) {
+                this.openDrawer(e.target.closest('[data-facets-drawer-open]'));
+            } else if (e.target.closest('[data-facets-drawer-close]')) {
+                this.closeDrawer();
+            }
+        });
+
+        this.overlay?.addEventListener('click', () => this.closeDrawer());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isDrawerOpen()) this.closeDrawer();
+        });
+
+        window.addEventListener('popstate', (e) => {
+            if (!e.state?.facets) return;
+            this.render(new URLSearchParams(window.location.search), { push: false });
+        });
+    },
+
+    /**
+     * Render the form's current filters and sort
+     */
+    apply() {
+        clearTimeout(this.debounceTimer);
+
+        const params = new URLSearchParams();
+        new FormData(this.form).forEach((value, key) => {
+            if (value !== '') params.append(key, value);
+        });
+
+        this.render(params);
+    },
+
+    /**
+     * Fetch the section for a query and swap its parts in
+     * @param {URLSearchParams} params - Filter, sort and page params
+     * @param {Object} [options]
+     * @param {boolean} [options.push=true] - Add a history entry
+     * @param {boolean} [options.scroll=false] - Scroll to the top of the results
+     */
+    async render(params, { push = true, scroll = false } = {}) {
+        const query = params.toString();
+        const requestId = ++this.requestId;
+
+        this.abortController?.abort();
+        this.abortController = new AbortController();
+        this._setLoading(true);
+
+        try {
+            const html = this.cache.get(query) ?? await this._fetch(query, this.abortController.signal);
+            this._setCached(query, html);
+
+            if (requestId !== this.requestId) return;
+
+            this._renderParts(html);
+
+            if (push) {
+                const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+                window.history.pushState({ facets: true }, '', url);
+            }
+
+            const results = this.container.querySelector('[data-facets-part="results"]');
+            if (scroll) results?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+            window.A11y.announce(results?.querySelector('[data-facets-announcement]')?.textContent.trim());
+        } catch (e) {
+            if (e.name === 'AbortError' || requestId !== this.requestId) return;
+
+            console.error('Facets: Failed to render', e);
+            window.Notifications.toast(window.I18n.t('collections.facets.error'));
+        }
+
+        if (requestId === this.requestId) this._setLoading(false);
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    isDrawerOpen() {
+        return Boolean(this.drawer?.classList.contains('is-open'));
+    },
+
+    /**
+     * Open the filter drawer (below the md breakpoint)
+     * @param {HTMLElement} [opener]
+     */
+    openDrawer(opener = document.activeElement) {
+        if (!this.drawer || this.isDrawerOpen()) return;
+
+        this.drawer.classList.add('is-open');
+        this.drawer.setAttribute('role', 'dialog');
+        this.drawer.setAttribute('aria-modal', 'true');
+        if (this.overlay) this.overlay.hidden = false;
+        document.body.style.overflow = 'hidden';
+
+        window.A11y.openDialog(this.drawer, { opener, exclude: [this.overlay] });
+        window.A11y.syncExpanded('[data-facets-drawer-open]', true);
+    },
+
+    /**
+     * Close the filter drawer
+     */
+    closeDrawer() {
+        if (!this.isDrawerOpen()) return;
+
+        this.drawer.classList.remove('is-open');
+        this.drawer.removeAttribute('role');
+        this.drawer.removeAttribute('aria-modal');
+        if (this.overlay) this.overlay.hidden = true;
+        document.body.style.overflow = '';
+
+        window.A11y.closeDialog(this.drawer);
+        window.A11y.syncExpanded('[data-facets-drawer-open]', false);
+    },
+
+    /**
+     * Section HTML for a query
+     * @private
+     */
+    async _fetch(query, signal) {
+        const separator = query ? '&' : '';
+        const response = await fetch(`${window.location.pathname}?${query}${separator}section_id=${this.sectionId}`, { signal });
+
+        if (!response.ok) throw new Error(`Section responded ${response.status}`);
+        return response.text();
+    },
+
+    /**
+     * Store a response, dropping the oldest past CACHE_SIZE
+     * @private
+     */
+    _setCached(query, html) {
+        this.cache.delete(query);
+        this.cache.set(query, html);
+
+        if (this.cache.size > this.CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    },
+
+    /**
+     * Replace each [data-facets-part] with the fetched one, keeping open
+     * filter groups and focus
+     * @private
+     */
+    _renderParts(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const openFilters = Array.from(this.container.querySelectorAll('[data-facets-filter]'))
+            .filter(details => details.open)
+            .map(details => details.dataset.facetsFilter);
+        const focused = this.container.contains(document.activeElement) ? this._getFocusSelector(document.activeElement) : '';
+
+        this.container.querySelectorAll('[data-facets-part]').forEach(part => {
+            const next = doc.querySelector(`[data-facets-part="${part.dataset.facetsPart}"]`);
+            if (next) part.replaceWith(document.adoptNode(next));
+        });
+
+        this.container.querySelectorAll('[data-facets-filter]').forEach(details => {
+            if (openFilters.includes(details.dataset.facetsFilter)) details.open = true;
+        });
+        this.container.querySelectorAll('[data-facets-price]').forEach(price => this._renderPriceFill(price));
+
+        if (focused) this.container.querySelector(focused)?.focus();
+    },
+
+    /**
+     * Selector that finds a control again in re-rendered markup. Filter
+     * checkbox ids follow their position in the value list, so those are
+     * matched by name and value instead.
+     * @private
+     */
+    _getFocusSelector(element) {
+        if (element.name && element.form === this.form) {
+            const name = `[name="${CSS.escape(element.name)}"]`;
+            return element.type === 'checkbox' ? `${name}[value="${CSS.escape(element.value)}"]` : name;
+        }
+
+        return element.id ? `#${CSS.escape(element.id)}` : '';
+    },
+
+    /**
+     * @private
+     */
+    _setLoading(loading) {
+        const results = this.container.querySelector('[data-facets-part="results"]');
+        if (!results) return;
+
+        results.classList.toggle('opacity-50', loading);
+        results.setAttribute('aria-busy', loading.toString());
+    },
+
+    /**
+     * Slider moved: keep the thumbs apart and copy them to the inputs,
+     * leaving an input empty while its thumb is at the end of the range
+     * @private
+     */
+    _syncInputs(price, thumb) {
+        const { min: minThumb, max: maxThumb } = this._getPriceControls(price).thumbs;
+
+        if (parseFloat(minThumb.value) > parseFloat(maxThumb.value)) {
+            thumb.value = thumb === minThumb ? maxThumb.value : minThumb.value;
+        }
+
+        const { min: minInput, max: maxInput } = this._getPriceControls(price).inputs;
+        minInput.value = minThumb.value === minThumb.min ? '' : minThumb.value;
+        maxInput.value = maxThumb.value === maxThumb.max ? '' : maxThumb.value;
+
+        this._renderPriceFill(price);
+    },
+
+    /**
+     * Input typed in: move the slider to match
+     * @private
+     */
+    _syncSlider(price) {
+        const { thumbs, inputs } = this._getPriceControls(price);
+
+        thumbs.min.value = inputs.min.value || thumbs.min.min;
+        thumbs.max.value = inputs.max.value || thumbs.max.max;
+
+        this._renderPriceFill(price);
+    },
+
+    /**
+     * Highlight the track between the thumbs
+     * @private
+     */
+    _renderPriceFill(price) {
+        const { thumbs } = this._getPriceControls(price);
+        const fill = price.querySelector('[data-facets-price-fill]');
+        if (!fill || !thumbs.min || !thumbs.max) return;
+
+        const rangeMin = parseFloat(thumbs.min.min);
+        const span = (parseFloat(thumbs.min.max) - rangeMin) || 1;
+        const from = (parseFloat(thumbs.min.value) - rangeMin) / span * 100;
+        const to = 100 - (parseFloat(thumbs.max.value) - rangeMin) / span * 100;
+
+        fill.style.setProperty('--facets-price-from', `${from}%`);
+        fill.style.setProperty('--facets-price-to', `${to}%`);
+    },
+
+    /**
+     * @private
+     */
+    _getPriceControls(price) {
+        return {
+            thumbs: {
+                min: price.querySelector('[data-facets-price-thumb="min"]'),
+                max: price.querySelector('[data-facets-price-thumb="max"]')
+            },
+            inputs: {
+                min: price.querySelector('[data-facets-price-input="min"]'),
+                max: price.querySelector('[data-facets-price-input="max"]')
+            }
+        };
+    },
+
+    /**
+     * Debounce helper
+     * @private
+     */
+    _debounce(fn) {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(fn, this.DEBOUNCE_MS);
+    }
+};
+
+// Auto-init
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => Facets.init());
+} else {
+    Facets.init();
+}
+
+window.Facets = Facets;
@@ -0,0 +1,28 @@
+/**
+ * Translation Helper
+ * Reads locale strings exposed by layout/theme.liquid as window.theme.strings
+ */
+
+const I18n = {
+    /**
+     * Translate a locale key
+     * @param {string} key - Dot path, e.g. 'products.product.add_to_cart'
+     * @param {Object} [vars] - Values for [name] placeholders
+     * @returns {string} Translated string, or the key when missing
+     */
+    t(key, vars = {}) {
+        const value = key.split('.').reduce((obj, part) => obj?.[part], window.theme?.strings);
+
+        if (typeof value !== 'string') {
+            console.warn(`I18n: Missing translation for "${key}"`);
+            return key;
+        }
+
+        return Object.keys(vars).reduce(
+            (str, name) => str.split(`[${name}]`).join(vars[name]),
+            value
+        );
+    }
+};
+
+window.I18n = I18n;
@@ -0,0 +1,449 @@
+/**
+ * Media Gallery - Product images, video and 3D models
+ * Thumbnails, swipe (native scroll snap), variant-aware scrolling and color
+ * filtering, plus a keyboard-navigable lightbox with hover and pinch zoom.
+ * Created by ProductForm for the [data-media-gallery] inside its container.
+ *
+ * Color filtering (data-filter-by-color) uses one of two conventions:
+ * - Media whose alt text is exactly a color value ("Red") belongs to that
+ *   color; media with any other alt text is shown for every color.
+ * - Otherwise, each color's media starts at its first variant image and runs
+ *   until the next color's first variant image.
+ */
+
+class MediaGallery {
+    static COLOR_OPTION_NAMES = ['color', 'colour', 'colors', 'colours'];
+    static HOVER_ZOOM = 2.5;
+    static MAX_ZOOM = 4;
+
+    constructor(container, productJson) {
+        this.container = container;
+
+        // DOM Elements
+        this.viewport = container.querySelector('[data-gallery-viewport]');
+        this.items = Array.from(container.querySelectorAll('[data-gallery-viewport] [data-media-id]'));
+        this.thumbnails = Array.from(container.querySelectorAll('[data-gallery-thumbnails] [data-media-id]'));
+        this.prevButton = container.querySelector('[data-gallery-prev]');
+        this.nextButton = container.querySelector('[data-gallery-next]');
+        this.lightbox = container.querySelector('[data-gallery-lightbox]');
+        this.stage = container.querySelector('[data-gallery-lightbox-stage]');
+        this.lightboxImage = null;
+
+        // Current state
+        this.colorGroups = container.hasAttribute('data-filter-by-color')
+            ? this.buildColorGroups(productJson)
+            : null;
+        this.activeId = this.getMediaId(container.querySelector('[data-gallery-active]') || this.items[0]);
+        this.lightboxItem = null;
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.pointers = new Map();
+        this.pinch = null;
+        this.lastPointerType = 'mouse';
+
+        this.init();
+    }
+
+    init() {
+        this.thumbnails.forEach(thumbnail => {
+            thumbnail.querySelector('button')?.addEventListener('click', () => {
+                this.show(this.getMediaId(thumbnail));
+            });
+        });
+
+        this.prevButton?.addEventListener('click', () => this.step(-1));
+        this.nextButton?.addEventListener('click', () => this.step(1));
+
+        // Swiping is native scrolling; follow it to keep thumbnails in sync
+        let scrollFrame = null;
+        this.viewport.addEventListener('scroll', () => {
+            cancelAnimationFrame(scrollFrame);
+            scrollFrame = requestAnimationFrame(() => this.syncFromScroll());
+        }, { passive: true });
+
+        this.viewport.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.step(e.key === 'ArrowLeft' ? -1 : 1);
+            }
+        });
+
+        this.container.querySelectorAll('[data-gallery-zoom]').forEach(button => {
+            button.addEventListener('click', () => this.openLightbox(button.closest('[data-media-id]')));
+        });
+
+        if (this.lightbox) {
+            this.bindLightbox();
+        }
+
+        this.loadModelViewer();
+
+        // Start on the selected variant's media without animating
+        this.show(this.activeId, 'instant');
+    }
+
+    getMediaId(element) {
+        return element ? parseInt(element.dataset.mediaId) : null;
+    }
+
+    getItem(mediaId) {
+        return this.items.find(item => this.getMediaId(item) === mediaId);
+    }
+
+    getVisibleItems() {
+        return this.items.filter(item => !item.hidden);
+    }
+
+    /**
+     * Slider layouts scroll horizontally; stacked and grid layouts (desktop) don't
+     */
+    isSlider() {
+        return getComputedStyle(this.viewport).overflowX !== 'visible';
+    }
+
+    /**
+     * Bring a media item into view and mark it active
+     * @param {number} mediaId
+     * @param {string} [behavior] - 'smooth' or 'instant'
+     */
+    show(mediaId, behavior = 'smooth') {
+        const item = this.getItem(mediaId);
+        if (!item || item.hidden) return;
+
+        if (this.isSlider()) {
+            this.viewport.scrollTo({ left: item.offsetLeft - this.viewport.offsetLeft, behavior });
+        } else if (behavior !== 'instant') {
+            // Stacked/grid: bring it into view without reordering, so step() and
+            // the lightbox keep the media order (the page doesn't jump on load)
+            item.scrollIntoView({ behavior, block: 'nearest' });
+        }
+
+        this.setActive(mediaId);
+    }
+
+    step(direction) {
+        const visible = this.getVisibleItems();
+        const index = visible.findIndex(item => this.getMediaId(item) === this.activeId);
+        const target = visible[Math.min(visible.length - 1, Math.max(0, index + direction))];
+
+        if (target) this.show(this.getMediaId(target));
+    }
+
+    setActive(mediaId) {
+        this.activeId = mediaId;
+
+        this.items.forEach(item => {
+            const active = this.getMediaId(item) === mediaId;
+            item.toggleAttribute('data-gallery-active', active);
+
+            // Don't keep playing media the shopper swiped away from
+            if (!active) item.querySelector('video')?.pause();
+        });
+
+        this.thumbnails.forEach(thumbnail => {
+            const button = thumbnail.querySelector('button');
+            if (this.getMediaId(thumbnail) === mediaId) {
+                button.setAttribute('aria-current', 'true');
+                this.scrollThumbnailIntoView(thumbnail);
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+
+        const visible = this.getVisibleItems();
+        const index = visible.findIndex(item => this.getMediaId(item) === mediaId);
+        if (this.prevButton) this.prevButton.disabled = index <= 0;
+        if (this.nextButton) this.nextButton.disabled = index >= visible.length - 1;
+    }
+
+    /**
+     * Scroll the thumbnail strip only (scrollIntoView could scroll the page)
+     */
+    scrollThumbnailIntoView(thumbnail) {
+        const list = thumbnail.parentElement;
+        const left = thumbnail.offsetLeft - list.offsetLeft;
+
+        if (left < list.scrollLeft || left + thumbnail.offsetWidth > list.scrollLeft + list.clientWidth) {
+            list.scrollTo({ left, behavior: 'smooth' });
+        }
+    }
+
+    syncFromScroll() {
+        if (!this.isSlider()) return;
+
+        const scrollLeft = this.viewport.scrollLeft + this.viewport.offsetLeft;
+        let nearest = null;
+
+        this.getVisibleItems().forEach(item => {
+            if (!nearest || Math.abs(item.offsetLeft - scrollLeft) < Math.abs(nearest.offsetLeft - scrollLeft)) {
+                nearest = item;
+            }
+        });
+
+        const mediaId = this.getMediaId(nearest);
+        if (mediaId && mediaId !== this.activeId) this.setActive(mediaId);
+    }
+
+    /**
+     * Filter to the variant's color and show its featured media
+     * @param {Object} variant - Variant JSON
+     */
+    showVariant(variant) {
+        if (!variant) return;
+
+        if (this.colorGroups) {
+            this.filterByColor(variant.options[this.colorGroups.index]);
+        }
+
+        const mediaId = variant.featured_media?.id;
+        if (mediaId && !this.getItem(mediaId)?.hidden) {
+            this.show(mediaId);
+        } else if (this.getItem(this.activeId)?.hidden) {
+            this.show(this.getMediaId(this.getVisibleItems()[0]));
+        }
+    }
+
+    filterByColor(value) {
+        const group = this.colorGroups.groups.get(value);
+
+        // Nothing belongs to this color: show everything rather than an empty gallery
+        const isVisible = (mediaId) => !group?.size || group.has(mediaId) || this.colorGroups.shared.has(mediaId);
+
+        [...this.items, ...this.thumbnails].forEach(element => {
+            element.hidden = !isVisible(this.getMediaId(element));
+        });
+    }
+
+    /**
+     * Map each color value to its media ids (see conventions at the top of the file)
+     * @returns {Object|null} { index, groups: Map<value, Set<id>>, shared: Set<id> }
+     */
+    buildColorGroups(productJson) {
+        const index = productJson.options.findIndex(name =>
+            MediaGallery.COLOR_OPTION_NAMES.includes(String(name).toLowerCase())
+        );
+        if (index === -1) return null;
+
+        const media = productJson.media || [];
+        const values = [...new Set(productJson.variants.map(variant => variant.options[index]))];
+        const groups = new Map(values.map(value => [value, new Set()]));
+        const shared = new Set();
+
+        // Alt text convention
+        const valuesByAlt = new Map(values.map(value => [value.toLowerCase(), value]));
+        let tagged = false;
+
+        media.forEach(item => {
+            const value = valuesByAlt.get((item.alt || '').trim().toLowerCase());
+            if (value) {
+                groups.get(value).add(item.id);
+                tagged = true;
+            } else {
+                shared.add(item.id);
+            }
+        });
+
+        if (tagged) return { index, groups, shared };
+
+        // Media position convention
+        const starts = values
+            .map(value => {
+                const variant = productJson.variants.find(v => v.options[index] === value && v.featured_media);
+                return variant ? { value, position: variant.featured_media.position } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.position - b.position);
+
+        if (starts.length < 2) return null;
+
+        shared.clear();
+        media.forEach(item => {
+            const start = starts.filter(s => s.position <= item.position).pop();
+            if (start) {
+                groups.get(start.value).add(item.id);
+            } else {
+                shared.add(item.id);
+            }
+        });
+
+        return { index, groups, shared };
+    }
+
+    bindLightbox() {
+        // Sized by CSS; filled from the page image's srcset when opened
+        this.lightboxImage = document.createElement('img');
+        this.lightboxImage.className = 'media-gallery__lightbox-image';
+        this.lightboxImage.alt = '';
+        this.stage.appendChild(this.lightboxImage);
+
+        this.lightbox.querySelector('[data-gallery-lightbox-close]').addEventListener('click', () => this.closeLightbox());
+        this.lightbox.querySelector('[data-gallery-lightbox-prev]').addEventListener('click', () => this.stepLightbox(-1));
+        this.lightbox.querySelector('[data-gallery-lightbox-next]').addEventListener('click', () => this.stepLightbox(1));
+
+        this.lightbox.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                // Only the lightbox: a quick view or drawer underneath stays open
+                e.stopPropagation();
+                this.closeLightbox();
+            } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.stepLightbox(e.key === 'ArrowLeft' ? -1 : 1);
+            } else if (e.key === '+' || e.key === '=') {
+                this.setZoom(Math.min(MediaGallery.MAX_ZOOM, this.zoom.scale + 1));
+            } else if (e.key === '-') {
+                this.setZoom(Math.max(1, this.zoom.scale - 1));
+            }
+        });
+
+        this.stage.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.stage.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.stage.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.stage.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+
+        // Mouse: click toggles hover zoom centred on the pointer
+        this.stage.addEventListener('click', (e) => {
+            if (this.lastPointerType !== 'mouse') return;
+
+            this.setOrigin(e.clientX, e.clientY);
+            this.setZoom(this.zoom.scale > 1 ? 1 : MediaGallery.HOVER_ZOOM);
+        });
+    }
+
+    openLightbox(item) {
+        if (!this.lightbox || !item) return;
+
+        this.lightbox.hidden = false;
+        this.renderLightbox(item);
+
+        window.A11y?.openDialog(this.lightbox, {
+            opener: item.querySelector('[data-gallery-zoom]'),
+            initialFocus: this.lightbox.querySelector('[data-gallery-lightbox-close]')
+        });
+    }
+
+    closeLightbox() {
+        if (this.lightbox.hidden) return;
+
+        this.lightbox.hidden = true;
+        this.setZoom(1);
+        window.A11y?.closeDialog(this.lightbox);
+    }
+
+    stepLightbox(direction) {
+        const images = this.getVisibleItems().filter(item => item.dataset.mediaType === 'image');
+        const index = images.indexOf(this.lightboxItem);
+        const next = images[(index + direction + images.length) % images.length];
+
+        if (next) {
+            this.renderLightbox(next);
+            window.A11y?.announce(next.getAttribute('aria-label'));
+        }
+    }
+
+    renderLightbox(item) {
+        const image = item.querySelector('img');
+        this.lightboxItem = item;
+
+        this.setZoom(1);
+        this.lightboxImage.srcset = image.srcset;
+        this.lightboxImage.sizes = '100vw';
+        this.lightboxImage.src = image.src;
+        this.lightboxImage.alt = image.alt;
+
+        // Keep the slider in step with the lightbox (stacked layouts stay as they are)
+        if (this.isSlider()) this.show(this.getMediaId(item), 'instant');
+    }
+
+    setZoom(scale) {
+        this.zoom.scale = scale;
+
+        if (scale <= 1) {
+            this.zoom = { scale: 1, x: 0, y: 0 };
+        }
+
+        this.lightboxImage.style.transform =
+            `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${this.zoom.scale})`;
+        this.stage.classList.toggle('is-zoomed', this.zoom.scale > 1);
+    }
+
+    setOrigin(clientX, clientY) {
+        const rect = this.stage.getBoundingClientRect();
+        const x = ((clientX - rect.left) / rect.width) * 100;
+        const y = ((clientY - rect.top) / rect.height) * 100;
+
+        this.lightboxImage.style.transformOrigin = `${x}% ${y}%`;
+    }
+
+    onPointerDown(e) {
+        this.lastPointerType = e.pointerType;
+        if (e.pointerType === 'mouse') return;
+
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.stage.setPointerCapture(e.pointerId);
+
+        if (this.pointers.size === 2) {
+            this.pinch = { distance: this.getPinchDistance(), scale: this.zoom.scale };
+            this.stage.classList.add('is-pinching');
+        }
+    }
+
+    onPointerMove(e) {
+        // Mouse: pan by moving the zoom origin with the pointer
+        if (e.pointerType === 'mouse') {
+            if (this.zoom.scale > 1) this.setOrigin(e.clientX, e.clientY);
+            return;
+        }
+
+        const previous = this.pointers.get(e.pointerId);
+        if (!previous) return;
+
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pinch && this.pointers.size === 2) {
+            const [a, b] = Array.from(this.pointers.values());
+            const scale = this.pinch.scale * (this.getPinchDistance() / this.pinch.distance);
+
+            this.setOrigin((a.x + b.x) / 2, (a.y + b.y) / 2);
+            this.setZoom(Math.min(MediaGallery.MAX_ZOOM, Math.max(1, scale)));
+        } else if (this.pointers.size === 1 && this.zoom.scale > 1) {
+            // One finger pans a zoomed image
+            this.zoom.x += e.clientX - previous.x;
+            this.zoom.y += e.clientY - previous.y;
+            this.setZoom(this.zoom.scale);
+        }
+    }
+
+    onPointerUp(e) {
+        this.pointers.delete(e.pointerId);
+
+        if (this.pointers.size < 2) {
+            this.pinch = null;
+            this.stage.classList.remove('is-pinching');
+        }
+    }
+
+    getPinchDistance() {
+        const [a, b] = Array.from(this.pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+    }
+
+    /**
+     * 3D models need Shopify's model viewer UI (controls, AR button)
+     */
+    loadModelViewer() {
+        if (!this.container.querySelector('model-viewer')) return;
+
+        window.Shopify?.loadFeatures?.([{
+            name: 'model-viewer-ui',
+            version: '1.0',
+            onLoad: (errors) => {
+                if (errors) return;
+                this.container.querySelectorAll('model-viewer').forEach(model => {
+                    new window.Shopify.ModelViewerUI(model);
+                });
+            }
+        }]);
+    }
+}
+
+// Export for use in other scripts
+window.MediaGallery = MediaGallery;
@@ -0,0 +1,99 @@
+/**
+ * Money Module
+ * Formats amounts in cents with the shop's money format (every Shopify
+ * {{ amount... }} token), or with Intl.NumberFormat when the shopper browses
+ * in a different currency than the shop's (Shopify.currency.active).
+ * Format and shop currency come from layout/theme.liquid (window.theme).
+ */
+
+const Money = {
+    DEFAULT_FORMAT: '${{amount}}',
+
+    /** Currencies shown without decimals */
+    ZERO_DECIMAL_CURRENCIES: ['BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'],
+
+    /** Token → [decimals, thousands separator, decimal separator] */
+    TOKENS: {
+        amount: [2, ',', '.'],
+        amount_no_decimals: [0, ',', '.'],
+        amount_with_comma_separator: [2, '.', ','],
+        amount_no_decimals_with_comma_separator: [0, '.', ','],
+        amount_with_apostrophe_separator: [2, '\'', '.'],
+        amount_with_space_separator: [2, ' ', ','],
+        amount_no_decimals_with_space_separator: [0, ' ', ','],
+        amount_with_period_and_space_separator: [2, ' ', '.']
+    },
+
+    /**
+     * Format an amount as plain text
+     * @param {number|string} cents - Amount in cents (presentment currency)
+     * @param {string} [format] - Shopify money format; defaults to the shop's
+     * @returns {string}
+     */
+    format(cents, format = window.theme?.moneyFormat || this.DEFAULT_FORMAT) {
+        const value = Math.round(Number(cents));
+        if (!Number.isFinite(value)) return '';
+
+        const currency = this.getCurrency();
+        const match = format.match(/\{\{\s*(\w+)\s*\}\}/);
+        const shopCurrency = window.theme?.shopCurrency;
+
+        // The shop's format only describes the shop's own currency
+        if (!match || !this.TOKENS[match[1]] || (shopCurrency && currency && currency !== shopCurrency)) {
+            return this._formatIntl(value, currency);
+        }
+
+        const [decimals, thousands, decimal] = this.TOKENS[match[1]];
+        const precision = this.ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : decimals;
+
+        return format
+            .replace(match[0], this._formatNumber(value, precision, thousands, decimal))
+            .replace(/<[^>]*>/g, '');
+    },
+
+    /**
+     * Convert an amount in the shop's currency to the active currency
+     * @param {number} cents - Amount in cents (shop currency)
+     * @returns {number} Amount in cents (presentment currency)
+     */
+    convert(cents) {
+        const rate = parseFloat(window.Shopify?.currency?.rate || '1');
+        return Math.round(cents * rate);
+    },
+
+    /**
+     * ISO code of the currency prices are shown in
+     * @returns {string|undefined}
+     */
+    getCurrency() {
+        return window.Shopify?.currency?.active || window.theme?.shopCurrency;
+    },
+
+    /**
+     * Group and separate digits
+     * @private
+     */
+    _formatNumber(cents, precision, thousands, decimal) {
+        const [whole, fraction] = (cents / 100).toFixed(precision).split('.');
+        const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+
+        return fraction ? `${grouped}${decimal}${fraction}` : grouped;
+    },
+
+    /**
+     * Locale-aware fallback
+     * @private
+     */
+    _formatIntl(cents, currency) {
+        const locale = document.documentElement.lang || undefined;
+
+        try {
+            return new Intl.NumberFormat(locale, currency ? { style: 'currency', currency } : {})
+                .format(cents / 100);
+        } catch (e) {
+            return this._formatNumber(cents, 2, ',', '.');
+        }
+    }
+};
+
+window.Money = Money;
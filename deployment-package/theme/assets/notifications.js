@@ -0,0 +1,100 @@
+/**
+ * Notifications Module
+ * Inline messages next to the element that caused them, plus toasts for
+ * messages with no natural place on the page. Replaces alert() in cart flows.
+ */
+
+const Notifications = {
+    TOAST_TIMEOUT_MS: 5000,
+
+    /** Anchor element → its inline message element */
+    inlineMessages: new WeakMap(),
+    toastRegion: null,
+
+    /**
+     * Show a message directly after an element
+     * @param {HTMLElement} anchor - Button, row or field the message belongs to
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.type] - 'error' or 'success'
+     * @param {number} [options.timeout] - Auto-hide after ms (0 keeps it until cleared)
+     */
+    inline(anchor, message, { type = 'error', timeout = 0 } = {}) {
+        if (!anchor || !message) return;
+
+        let messageEl = this.inlineMessages.get(anchor);
+
+        if (!messageEl?.isConnected) {
+            messageEl = document.createElement('p');
+            messageEl.setAttribute('role', 'alert');
+            anchor.insertAdjacentElement('afterend', messageEl);
+            this.inlineMessages.set(anchor, messageEl);
+        }
+
+        messageEl.className = `notification-inline notification-inline--${type}`;
+        messageEl.textContent = message;
+
+        clearTimeout(messageEl._timer);
+        if (timeout > 0) {
+            messageEl._timer = setTimeout(() => this.clear(anchor), timeout);
+        }
+    },
+
+    /**
+     * Remove an element's inline message
+     * @param {HTMLElement} anchor
+     */
+    clear(anchor) {
+        const messageEl = anchor && this.inlineMessages.get(anchor);
+        if (!messageEl) return;
+
+        messageEl.remove();
+        this.inlineMessages.delete(anchor);
+    },
+
+    /**
+     * Show a dismissible toast
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.type] - 'error' or 'success'
+     * @param {number} [options.timeout] - Auto-hide after ms
+     */
+    toast(message, { type = 'error', timeout = this.TOAST_TIMEOUT_MS } = {}) {
+        if (!message) return;
+
+        const toast = document.createElement('div');
+        toast.className = `notification-toast notification-toast--${type}`;
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+        const text = document.createElement('p');
+        text.textContent = message;
+
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'notification-toast__dismiss';
+        dismiss.setAttribute('aria-label', window.I18n.t('general.notifications.dismiss'));
+        dismiss.textContent = '×';
+        dismiss.addEventListener('click', () => toast.remove());
+
+        toast.append(text, dismiss);
+        this._getToastRegion().appendChild(toast);
+
+        setTimeout(() => toast.remove(), timeout);
+    },
+
+    /**
+     * Fixed container that stacks toasts
+     * @private
+     */
+    _getToastRegion() {
+        if (!this.toastRegion) {
+            this.toastRegion = document.createElement('div');
+            this.toastRegion.className = 'notification-toasts';
+            document.body.appendChild(this.toastRegion);
+        }
+
+        return this.toastRegion;
+    }
+};
+
+window.Notifications = Notifications;
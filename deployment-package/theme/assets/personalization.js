@@ -0,0 +1,249 @@
+/**
+ * Personalization Module
+ * Line item property fields rendered by snippets/personalization-fields.liquid
+ * (text, select, checkbox and file). ProductForm calls updateVisibility() when
+ * the variant changes and validate() before adding to cart; hidden fields are
+ * disabled so they're neither validated nor submitted.
+ *
+ * Files are uploaded as soon as they're picked to the fieldset's
+ * data-upload-url, which must answer with { "url": "..." }. The URL is what
+ * ends up on the line item.
+ */
+
+const Personalization = {
+    /** Upload limit in MB when a field doesn't set one */
+    DEFAULT_MAX_FILE_SIZE: 5,
+
+    /**
+     * Initialize personalization fields
+     */
+    init() {
+        document.addEventListener('input', (e) => {
+            const field = e.target.closest('[data-personalization-field]');
+            if (!field) return;
+
+            this._renderCount(field);
+
+            // Clear a message as soon as the value is fixed
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                this.validateField(field);
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            const field = e.target.closest('[data-personalization-field]');
+            if (!field) return;
+
+            if (e.target.matches('[data-personalization-upload]')) {
+                this.upload(field);
+            } else if (e.target.getAttribute('aria-invalid') === 'true') {
+                this.validateField(field);
+            }
+        });
+    },
+
+    /**
+     * Show the fields that apply to a variant and disable the rest
+     * @param {HTMLElement} container - [data-personalization] fieldset
+     * @param {Object|null} variant - Variant JSON
+     */
+    updateVisibility(container, variant) {
+        container.querySelectorAll('[data-personalization-field]').forEach(field => {
+            const visible = this._appliesTo(field, variant);
+
+            field.hidden = !visible;
+            field.querySelectorAll('input, select, textarea').forEach(control => {
+                control.disabled = !visible;
+            });
+        });
+
+        container.hidden = !container.querySelector('[data-personalization-field]:not([hidden])');
+    },
+
+    /**
+     * Validate every visible field and focus the first invalid one
+     * @param {HTMLElement} container - [data-personalization] fieldset
+     * @returns {boolean}
+     */
+    validate(container) {
+        let firstInvalid = null;
+
+        container.querySelectorAll('[data-personalization-field]:not([hidden])').forEach(field => {
+            if (!this.validateField(field) && !firstInvalid) {
+                firstInvalid = field;
+            }
+        });
+
+        this._getControl(firstInvalid)?.focus();
+        return !firstInvalid;
+    },
+
+    /**
+     * Validate one field and show or clear its message
+     * @param {HTMLElement} field - [data-personalization-field]
+     * @returns {boolean}
+     */
+    validateField(field) {
+        const message = this._getError(field);
+        const control = this._getControl(field);
+        const errorEl = field.querySelector('[data-personalization-error]');
+
+        control?.setAttribute('aria-invalid', Boolean(message).toString());
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = !message;
+        }
+
+        return !message;
+    },
+
+    /**
+     * Upload the picked file and store its URL in the field's property
+     * @param {HTMLElement} field - [data-personalization-field] of type file
+     */
+    async upload(field) {
+        const input = field.querySelector('[data-personalization-upload]');
+        const valueInput = field.querySelector('[data-personalization-upload-value]');
+        const file = input.files[0];
+
+        // A new pick supersedes any upload still in flight
+        valueInput.value = '';
+        delete field.dataset.uploading;
+        delete field.dataset.uploadError;
+        this._renderUploadStatus(field, '');
+
+        if (!file) {
+            this.validateField(field);
+            return;
+        }
+
+        const maxSize = parseFloat(input.dataset.maxSize) || this.DEFAULT_MAX_FILE_SIZE;
+        if (file.size > maxSize * 1024 * 1024) {
+            field.dataset.uploadError = window.I18n.t('products.personalization.file_too_large', { size: maxSize });
+            input.value = '';
+            this.validateField(field);
+            return;
+        }
+
+        field.dataset.uploading = 'true';
+        this._renderUploadStatus(field, window.I18n.t('products.personalization.uploading'));
+
+        try {
+            const body = new FormData();
+            body.append('file', file);
+
+            const response = await fetch(field.closest('[data-personalization]').dataset.uploadUrl, {
+                method: 'POST',
+                body
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok || !result.url) {
+                throw new Error(`Upload responded ${response.status}`);
+            }
+
+            // Another file was picked meanwhile
+            if (input.files[0] !== file) return;
+
+            valueInput.value = result.url;
+            this._renderUploadStatus(field, file.name);
+        } catch (e) {
+            if (input.files[0] !== file) return;
+
+            console.error('Personalization: Upload failed', e);
+            field.dataset.uploadError = window.I18n.t('products.personalization.upload_failed');
+            input.value = '';
+            this._renderUploadStatus(field, '');
+        }
+
+        delete field.dataset.uploading;
+        this.validateField(field);
+    },
+
+    /**
+     * Message for a field, or '' when valid
+     * @private
+     */
+    _getError(field) {
+        const control = this._getControl(field);
+        if (!control || control.disabled) return '';
+
+        if (field.dataset.fieldType === 'file') {
+            if (field.dataset.uploading) return window.I18n.t('products.personalization.upload_pending');
+            if (field.dataset.uploadError) return field.dataset.uploadError;
+
+            const value = field.querySelector('[data-personalization-upload-value]').value;
+            return control.required && !value ? window.I18n.t('products.personalization.required') : '';
+        }
+
+        const value = control.type === 'checkbox' ? control.checked : control.value.trim();
+        const maxLength = parseInt(control.dataset.personalizationMax, 10);
+
+        if (control.required && !value) {
+            return window.I18n.t('products.personalization.required');
+        }
+        // maxlength only stops typing; values set by script can still exceed it
+        if (maxLength && control.value.length > maxLength) {
+            return window.I18n.t('products.personalization.too_long', { max: maxLength });
+        }
+        if (control.validity.patternMismatch) {
+            return window.I18n.t(`products.personalization.allowed_${control.dataset.allowed}`);
+        }
+
+        return '';
+    },
+
+    /**
+     * Whether a field's show_for option values include one of the variant's
+     * @private
+     */
+    _appliesTo(field, variant) {
+        const values = (field.dataset.showFor || '')
+            .split(',')
+            .map(value => value.trim().toLowerCase())
+            .filter(Boolean);
+
+        if (values.length === 0) return true;
+        if (!variant) return false;
+
+        return variant.options.some(option => values.includes(option.toLowerCase()));
+    },
+
+    /**
+     * The field's focusable input
+     * @private
+     */
+    _getControl(field) {
+        return field?.querySelector('input:not([type="hidden"]), select, textarea') || null;
+    },
+
+    /**
+     * Characters left for text fields with a max length
+     * @private
+     */
+    _renderCount(field) {
+        const countEl = field.querySelector('[data-personalization-count]');
+        const control = this._getControl(field);
+        if (!countEl || !control) return;
+
+        const remaining = Math.max(0, parseInt(control.dataset.personalizationMax, 10) - control.value.length);
+        countEl.textContent = window.I18n.t('products.personalization.characters_left', { remaining });
+    },
+
+    /**
+     * @private
+     */
+    _renderUploadStatus(field, message) {
+        const status = field.querySelector('[data-personalization-upload-status]');
+        if (status) status.textContent = message;
+    }
+};
+
+// Auto-init
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => Personalization.init());
+} else {
+    Personalization.init();
+}
+
+window.Personalization = Personalization;
@@ -1,12 +1,53 @@
 /**
  * Predictive Search Module
  * Fetches search results from Shopify's Predictive Search API
+ *
+ * Only the latest query renders: a new search aborts the request before it
+ * and a sequence number drops anything that still arrives late. Results are
+ * kept in a small LRU cache (query + resource types), so backspacing is
+ * instant, and the prefixes of the current query are prefetched on focus.
+ *
+ * The input is an ARIA combobox controlling one listbox (the results
+ * container, with a [role="group"] per kind of result): arrow keys, Home/End
+ * and Enter work on its [role="option"] items through aria-activedescendant
+ * while focus stays in the input, and result counts are announced in a live region.
+ *
+ * Below MIN_CHARS the dropdown shows the snippet's suggestions template:
+ * recent searches and clicked results (SearchHistory), trending terms and
+ * popular collections.
+ *
+ * Dispatches search:query, search:results, search:zero-results and
+ * search:result-click on document (see search-analytics.js). A query counts
+ * once it's committed: the form is submitted, a result is followed or the
+ * dropdown closes on its results. The prefixes typed on the way don't.
  */
 
 const PredictiveSearch = {
     debounceTimer: null,
     DEBOUNCE_MS: 300,
     MIN_CHARS: 2,
+    /** Results kept for this many queries */
+    CACHE_SIZE: 20,
+    /** Shorter queries fetched ahead on focus */
+    PREFETCH_LIMIT: 3,
+    /** 'query' brings spelling suggestions for the no-results state */
+    RESOURCE_TYPES: 'product,collection,article,page,query',
+    RESOURCE_LIMIT: 4,
+
+    /** Cache key → results HTML, least recently used first */
+    cache: new Map(),
+    /** Cache key → in-flight prefetch */
+    pending: new Map(),
+    /** Aborts the current search request */
+    abortController: null,
+    /** Incremented per search so late responses are dropped */
+    requestId: 0,
+    /** Highlighted [role="option"] */
+    activeOption: null,
+    /** { query, counts, total } for the results on show, null otherwise */
+    results: null,
+    /** Last query dispatched with search:query */
+    committedQuery: null,
 
     /**
      * Initialize predictive search
@@ -18,10 +59,13 @@ const PredictiveSearch = {
 
         if (!searchInput || !resultsContainer) return;
 
+        this.container = searchInput.closest('[data-predictive-search]');
         this.searchInput = searchInput;
         this.resultsContainer = resultsContainer;
+        this.liveRegion = this.container.querySelector('[data-predictive-search-live]');
         this.searchForm = searchInput.closest('form');
         this.loadingIndicator = document.querySelector('[data-predictive-search-loading]');
+        this.resourceTypes = options.resourceTypes || this.RESOURCE_TYPES;
 
         this._bindEvents();
     },
@@ -33,73 +77,335 @@ const PredictiveSearch = {
     _bindEvents() {
         // Handle input changes
         this.searchInput.addEventListener('input', (e) => {
+            // The highlight belongs to results for the previous value
+            this._setActiveOption(null);
             this._debounce(() => this.search(e.target.value.trim()));
         });
 
         // Handle focus
         this.searchInput.addEventListener('focus', () => {
-            if (this.searchInput.value.length >= this.MIN_CHARS) {
-                this._showResults();
+            const query = this.searchInput.value.trim();
+            if (query.length < this.MIN_CHARS) {
+                this._renderSuggestions();
+                return;
+            }
+
+            this._showResults();
+            this.prefetch(query);
+        });
+
+        this.searchForm?.addEventListener('submit', () => {
+            window.SearchHistory?.addQuery(this.searchInput.value);
+            this._commitSearch(this.searchInput.value.trim());
+        });
+
+        // Retry once the connection is back
+        window.addEventListener('online', () => {
+            if (this.resultsContainer.querySelector('[data-predictive-search-status="offline"]')) {
+                this.search(this.searchInput.value.trim());
             }
         });
 
-        // Close on outside click
+        this.resultsContainer.addEventListener('click', (e) => {
+            if (e.target.closest('[data-predictive-search-retry]')) {
+                this.search(this.searchInput.value.trim());
+                this.searchInput.focus();
+                return;
+            }
+
+            if (e.target.closest('[data-search-history-clear]')) {
+                // Before the button goes, so focus never leaves the search
+                this.searchInput.focus();
+                window.SearchHistory?.clear();
+                this._renderSuggestions();
+                return;
+            }
+
+            const link = e.target.closest('a');
+            if (link) {
+                this._remember(link);
+                this._commitSearch(this.results?.query);
+                this._trackClick(link);
+            }
+        });
+
+        // Close on outside click, or when Tab moves focus elsewhere
         document.addEventListener('click', (e) => {
             if (!e.target.closest('[data-predictive-search]')) {
                 this._hideResults();
             }
         });
+        this.container.addEventListener('focusout', (e) => {
+            if (!this.container.contains(e.relatedTarget)) {
+                this._hideResults();
+            }
+        });
 
         // Keyboard navigation
-        this.resultsContainer.addEventListener('keydown', (e) => {
+        this.searchInput.addEventListener('keydown', (e) => {
             this._handleKeyboard(e);
         });
 
         // Close on escape
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                e.preventDefault();
                 this._hideResults();
-                this.searchInput.blur();
+                this.searchInput.focus();
             }
         });
     },
 
+    /**
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.resultsContainer) && this.resultsContainer.style.display !== 'none';
+    },
+
     /**
      * Perform search
      * @param {string} query
      */
     async search(query) {
+        // Whatever was in flight is no longer wanted
+        const requestId = ++this.requestId;
+        this.abortController?.abort();
+        this.abortController = null;
+
         if (query.length < this.MIN_CHARS) {
-            this._hideResults();
+            this._hideLoading();
+            if (document.activeElement === this.searchInput) {
+                this._renderSuggestions();
+            } else {
+                this._hideResults();
+            }
             return;
         }
 
-        this._showLoading();
+        const key = this._getCacheKey(query);
+        if (this.cache.has(key)) {
+            this._hideLoading();
+            this._renderResults(this._getCached(key), query);
+            return;
+        }
 
-        try {
-            const response = await fetch(
-                `${window.routes.predictive_search_url}?q=${encodeURIComponent(query)}&resources[type]=product,collection,article,page&resources[limit]=4&section_id=predictive-search-results`,
-                { headers: { 'Accept': 'application/json' } }
-            );
+        if (!navigator.onLine) {
+            this._hideLoading();
+            this._renderStatus('offline');
+            return;
+        }
 
-            if (!response.ok) throw new Error('Search failed');
+        this._showLoading();
 
-            const text = await response.text();
+        try {
+            let request = this.pending.get(key);
+            if (!request) {
+                this.abortController = new AbortController();
+                request = this._fetch(query, this.abortController.signal);
+            }
 
-            // Parse section rendering response
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(text, 'text/html');
-            const content = doc.querySelector('#shopify-section-predictive-search-results')?.innerHTML || '';
+            const content = await request;
+            this._setCached(key, content);
 
-            this.resultsContainer.innerHTML = content;
-            this._showResults();
+            if (requestId !== this.requestId) return;
+            this._renderResults(content, query);
         } catch (e) {
+            if (e.name === 'AbortError' || requestId !== this.requestId) return;
+
             console.error('PredictiveSearch: Error', e);
-            this.resultsContainer.innerHTML = '<p class="p-4 text-stone-500">An error occurred. Please try again.</p>';
-            this._showResults();
-        } finally {
-            this._hideLoading();
+            this._renderStatus(navigator.onLine ? 'error' : 'offline');
         }
+
+        if (requestId === this.requestId) this._hideLoading();
+    },
+
+    /**
+     * Fill the cache for a query's shorter prefixes (and the query itself)
+     * in the background, one request at a time
+     * @param {string} query
+     */
+    async prefetch(query) {
+        if (!navigator.onLine) return;
+
+        const queries = [];
+        for (let length = query.length; length >= this.MIN_CHARS && queries.length <= this.PREFETCH_LIMIT; length--) {
+            queries.push(query.slice(0, length));
+        }
+
+        for (const prefix of queries) {
+            const key = this._getCacheKey(prefix);
+            if (this.cache.has(key) || this.pending.has(key)) continue;
+
+            const request = this._fetch(prefix);
+            this.pending.set(key, request);
+
+            try {
+                this._setCached(key, await request);
+            } catch (e) {
+                // Prefetching is best effort; search() reports failures
+                return;
+            } finally {
+                this.pending.delete(key);
+            }
+        }
+    },
+
+    /**
+     * Results section HTML for a query
+     * @private
+     * @param {string} query
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<string>}
+     */
+    async _fetch(query, signal) {
+        const params = new URLSearchParams({
+            q: query,
+            'resources[type]': this.resourceTypes,
+            'resources[limit]': this.RESOURCE_LIMIT,
+            section_id: 'predictive-search-results'
+        });
+
+        const response = await fetch(`${window.routes.predictive_search_url}?${params}`, {
+            headers: { 'Accept': 'application/json' },
+            signal
+        });
+
+        if (!response.ok) throw new Error(`Search responded ${response.status}`);
+
+        const text = await response.text();
+
+        // Parse section rendering response
+        const doc = new DOMParser().parseFromString(text, 'text/html');
+        return doc.querySelector('#shopify-section-predictive-search-results')?.innerHTML || '';
+    },
+
+    /**
+     * @private
+     */
+    _getCacheKey(query) {
+        return `${this.resourceTypes}:${query.toLowerCase()}`;
+    },
+
+    /**
+     * Read a cached entry and mark it most recently used
+     * @private
+     */
+    _getCached(key) {
+        const content = this.cache.get(key);
+        this.cache.delete(key);
+        this.cache.set(key, content);
+        return content;
+    },
+
+    /**
+     * Store an entry, dropping the least recently used past CACHE_SIZE
+     * @private
+     */
+    _setCached(key, content) {
+        this.cache.delete(key);
+        this.cache.set(key, content);
+
+        if (this.cache.size > this.CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    },
+
+    /**
+     * Show results HTML
+     * @private
+     */
+    _renderResults(content, query) {
+        this._setActiveOption(null);
+        this.resultsContainer.innerHTML = content;
+        this.resultsContainer.setAttribute('role', 'listbox');
+        this._showResults();
+
+        this._announce(this.resultsContainer.querySelector('[data-predictive-search-live-text]')?.textContent);
+
+        const count = type => this.resultsContainer.querySelectorAll(`[data-search-result-type="${type}"]`).length;
+        const counts = {
+            products: count('product'),
+            collections: count('collection'),
+            articles: count('article')
+        };
+        this.results = { query, counts, total: counts.products + counts.collections + counts.articles };
+    },
+
+    /**
+     * Dispatch search:query, plus search:results (and search:zero-results)
+     * when its results are on show, once per committed query
+     * @private
+     * @param {string} [query]
+     */
+    _commitSearch(query) {
+        if (!query || query.length < this.MIN_CHARS || query === this.committedQuery) return;
+        this.committedQuery = query;
+
+        this._emit('search:query', { query });
+        if (this.results?.query !== query) return;
+
+        const { counts, total } = this.results;
+        this._emit('search:results', { query, counts, total });
+        if (total === 0) this._emit('search:zero-results', { query });
+    },
+
+    /**
+     * Dispatch search:result-click for a result link (position counts from 1)
+     * @private
+     */
+    _trackClick(link) {
+        const type = link.dataset.searchResultType;
+        if (!type) return;
+
+        const links = Array.from(this.resultsContainer.querySelectorAll('[data-search-result-type]'));
+
+        this._emit('search:result-click', {
+            query: this.results?.query ?? null,
+            position: links.indexOf(link) + 1,
+            type,
+            title: link.dataset.searchResultTitle || link.dataset.searchQuery || link.textContent.trim(),
+            url: link.getAttribute('href')
+        });
+    },
+
+    /**
+     * @private
+     */
+    _emit(name, detail) {
+        document.dispatchEvent(new CustomEvent(name, { detail }));
+    },
+
+    /**
+     * Show the offline or error message with a retry button
+     * @private
+     * @param {'offline'|'error'} status
+     */
+    _renderStatus(status) {
+        this._setActiveOption(null);
+        this._announce('');
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'p-6 text-center';
+        wrapper.dataset.predictiveSearchStatus = status;
+        wrapper.setAttribute('role', 'alert');
+
+        const message = document.createElement('p');
+        message.className = 'text-stone-500 text-sm';
+        message.textContent = window.I18n.t(`general.search.${status}`);
+
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'text-[10px] uppercase tracking-widest font-bold text-stone-900 hover:opacity-60 mt-4 inline-block';
+        retry.textContent = window.I18n.t('general.search.retry');
+        retry.dataset.predictiveSearchRetry = '';
+
+        wrapper.append(message, retry);
+        this.results = null;
+        this.resultsContainer.replaceChildren(wrapper);
+        // A message and a button, not options
+        this.resultsContainer.removeAttribute('role');
+        this._showResults();
     },
 
     /**
@@ -109,6 +415,7 @@ const PredictiveSearch = {
     _showResults() {
         this.resultsContainer.style.display = '';
         this.resultsContainer.setAttribute('aria-hidden', 'false');
+        this.searchInput.setAttribute('aria-expanded', 'true');
     },
 
     /**
@@ -116,8 +423,132 @@ const PredictiveSearch = {
      * @private
      */
     _hideResults() {
+        // Closing on the results for what's typed settles the search
+        if (this.isOpen() && this.results?.query === this.searchInput.value.trim()) {
+            this._commitSearch(this.results.query);
+        }
+
         this.resultsContainer.style.display = 'none';
         this.resultsContainer.setAttribute('aria-hidden', 'true');
+        this.searchInput.setAttribute('aria-expanded', 'false');
+        this._setActiveOption(null);
+    },
+
+    /**
+     * Show results for the current value again, fetching if there are none
+     * @private
+     */
+    _openResults() {
+        // Cached results (or suggestions) render without a request
+        this.search(this.searchInput.value.trim());
+    },
+
+    /**
+     * Show the empty-state panel, or nothing when it has no entries
+     * @private
+     */
+    _renderSuggestions() {
+        const template = this.container.querySelector('[data-predictive-search-suggestions]');
+        const panel = template?.content.firstElementChild?.cloneNode(true);
+        if (!panel) {
+            this._hideResults();
+            return;
+        }
+
+        const history = panel.querySelector('[data-search-history]');
+        const list = panel.querySelector('[data-search-history-list]');
+        const entries = window.SearchHistory?.getAll() || [];
+
+        if (history && list) {
+            entries.forEach((entry, index) => list.appendChild(this._createHistoryOption(entry, index)));
+            history.hidden = entries.length === 0;
+        }
+
+        if (!panel.querySelector('[role="option"]')) {
+            this._hideResults();
+            return;
+        }
+
+        this._setActiveOption(null);
+        this.results = null;
+        this.resultsContainer.replaceChildren(panel);
+        this.resultsContainer.setAttribute('role', 'listbox');
+        this._announce('');
+        this._showResults();
+    },
+
+    /**
+     * Option for a SearchHistory entry
+     * @private
+     */
+    _createHistoryOption(entry, index) {
+        const option = document.createElement('li');
+        option.id = `predictive-search-option-recent-${index + 1}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+
+        const link = document.createElement('a');
+        link.className = 'text-sm text-stone-900 hover:underline block py-1';
+        link.tabIndex = -1;
+
+        if (entry.type === 'query') {
+            link.href = `${window.routes.search_url}?q=${encodeURIComponent(entry.query)}`;
+            link.textContent = entry.query;
+            link.dataset.searchQuery = entry.query;
+        } else {
+            link.href = entry.url;
+            link.textContent = entry.title;
+            link.dataset.searchResultTitle = entry.title;
+        }
+
+        option.appendChild(link);
+        return option;
+    },
+
+    /**
+     * Add a followed query or result link to SearchHistory
+     * @private
+     */
+    _remember(link) {
+        if (link.dataset.searchQuery) {
+            window.SearchHistory?.addQuery(link.dataset.searchQuery);
+        } else if (link.dataset.searchResultTitle) {
+            window.SearchHistory?.addResult({
+                title: link.dataset.searchResultTitle,
+                url: link.getAttribute('href')
+            });
+        }
+    },
+
+    /**
+     * Highlight an option (null clears the highlight)
+     * @private
+     * @param {HTMLElement|null} option
+     */
+    _setActiveOption(option) {
+        if (this.activeOption) {
+            this.activeOption.setAttribute('aria-selected', 'false');
+            this.activeOption.classList.remove('bg-stone-50');
+        }
+
+        this.activeOption = option || null;
+
+        if (this.activeOption) {
+            this.activeOption.setAttribute('aria-selected', 'true');
+            this.activeOption.classList.add('bg-stone-50');
+            this.activeOption.scrollIntoView({ block: 'nearest' });
+            this.searchInput.setAttribute('aria-activedescendant', this.activeOption.id);
+        } else {
+            this.searchInput.removeAttribute('aria-activedescendant');
+        }
+    },
+
+    /**
+     * Read a message out through the live region
+     * @private
+     */
+    _announce(message) {
+        if (this.liveRegion) this.liveRegion.textContent = message?.trim() || '';
     },
 
     /**
@@ -145,24 +576,37 @@ const PredictiveSearch = {
      * @private
      */
     _handleKeyboard(e) {
-        const focusableItems = this.resultsContainer.querySelectorAll('a, button');
-        const currentIndex = Array.from(focusableItems).indexOf(document.activeElement);
+        const options = Array.from(this.resultsContainer.querySelectorAll('[role="option"]'));
+        const currentIndex = options.indexOf(this.activeOption);
 
         switch (e.key) {
             case 'ArrowDown':
                 e.preventDefault();
-                if (currentIndex < focusableItems.length - 1) {
-                    focusableItems[currentIndex + 1].focus();
+                if (!this.isOpen()) {
+                    this._openResults();
+                } else if (options.length > 0) {
+                    this._setActiveOption(options[(currentIndex + 1) % options.length]);
                 }
                 break;
             case 'ArrowUp':
                 e.preventDefault();
-                if (currentIndex > 0) {
-                    focusableItems[currentIndex - 1].focus();
-                } else {
-                    this.searchInput.focus();
+                if (this.isOpen() && options.length > 0) {
+                    this._setActiveOption(options[currentIndex > 0 ? currentIndex - 1 : options.length - 1]);
                 }
                 break;
+            case 'Home':
+            case 'End':
+                // Without a highlight these move the caret
+                if (!this.activeOption) return;
+                e.preventDefault();
+                this._setActiveOption(e.key === 'Home' ? options[0] : options[options.length - 1]);
+                break;
+            case 'Enter':
+                // Without a highlight the form submits to the search page
+                if (!this.activeOption || !this.isOpen()) return;
+                e.preventDefault();
+                this.activeOption.querySelector('a')?.click();
+                break;
         }
     },
 
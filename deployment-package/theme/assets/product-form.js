@@ -1,19 +1,75 @@
 /**
  * Product Form - Handles variant selection, price updates, and add to cart
  * This is the core JavaScript for proper Shopify product functionality
+ *
+ * Forms on the page are started on DOMContentLoaded. Markup injected later
+ * (quick view, bundles) is started with ProductForm.mount() and stopped with
+ * ProductForm.unmount() / destroy() before it's removed.
+ *
+ * Every variant change dispatches a bubbling `variant:change` event on the
+ * container ({ variant, productId, form }); other controls select variants
+ * with setVariant().
  */
 
 class ProductForm {
-    constructor(container) {
+    /** Container → started ProductForm */
+    static instances = new WeakMap();
+
+    /**
+     * Start a product form on a container, or return the one already running
+     * @param {HTMLElement} container - [data-product-form] element
+     * @param {Object} [options] - See constructor
+     * @returns {ProductForm}
+     */
+    static mount(container, options) {
+        return ProductForm.instances.get(container) || new ProductForm(container, options);
+    }
+
+    /**
+     * Stop the product form running on a container, if any
+     * @param {HTMLElement} container
+     */
+    static unmount(container) {
+        ProductForm.instances.get(container)?.destroy();
+    }
+
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} [options]
+     * @param {Object} [options.productJson] - Product JSON, when the page has no ProductJson-{id} script for it
+     * @param {boolean} [options.syncUrl=true] - Route variants through the URL with VariantRouter (only the page's main product should)
+     * @param {boolean} [options.ajaxCart] - Add to cart without a page load (defaults to window.theme.ajaxCart)
+     */
+    constructor(container, options = {}) {
         this.container = container;
         this.productId = container.dataset.productId;
-        this.productJson = JSON.parse(
+        this.productJson = options.productJson || JSON.parse(
             document.getElementById(`ProductJson-${this.productId}`).textContent
         );
+        this.syncUrl = options.syncUrl !== false;
+        this.ajaxCart = options.ajaxCart ?? Boolean(window.theme?.ajaxCart);
+
+        // Removes every listener init() adds
+        this.abortController = new AbortController();
 
         this.variants = this.productJson.variants;
         this.options = this.productJson.options;
 
+        // Availability matrix: exact lookups by option combination, plus
+        // variants grouped by each option value for nearest-match searches
+        this.variantsByOptions = new Map();
+        this.variantsByValue = this.options.map(() => new Map());
+
+        this.variants.forEach(variant => {
+            this.variantsByOptions.set(this.getOptionsKey(variant.options), variant);
+
+            variant.options.forEach((value, index) => {
+                const group = this.variantsByValue[index].get(value) || [];
+                group.push(variant);
+                this.variantsByValue[index].set(value, group);
+            });
+        });
+
         // DOM Elements
         this.form = container.querySelector('form[action*="/cart/add"]');
         this.variantIdInput = container.querySelector('[name="id"]');
@@ -21,87 +77,150 @@ class ProductForm {
         this.comparePriceElement = container.querySelector('[data-compare-price]');
         this.addToCartButton = container.querySelector('[data-add-to-cart]');
         this.addToCartText = container.querySelector('[data-add-to-cart-text]');
+        this.buyNowButton = container.querySelector('[data-buy-now]');
+        this.buyNowMode = container.dataset.buyNowMode || 'off';
+        this.backInStockForm = container.querySelector('[data-back-in-stock]');
+        this.personalization = container.querySelector('[data-personalization]');
         this.stockStatus = container.querySelector('[data-stock-status]');
         this.optionInputs = container.querySelectorAll('[data-option-input]');
-        this.mainImage = container.querySelector('[data-product-main-image]');
         this.quantityInput = container.querySelector('[data-quantity-input]');
+        this.quantityMinus = container.querySelector('[data-quantity-minus]');
+        this.quantityPlus = container.querySelector('[data-quantity-plus]');
+        this.quantityRulesText = container.querySelector('[data-quantity-rules]');
+        this.priceBreaksList = container.querySelector('[data-price-breaks]');
+
+        // Quantity rules, inventory caps and price breaks by variant ID
+        const rulesElement = document.getElementById(`ProductQuantityRules-${this.productId}`);
+        this.quantityRules = rulesElement ? JSON.parse(rulesElement.textContent) : {};
+
+        const galleryElement = container.querySelector('[data-media-gallery]');
+        this.gallery = galleryElement && window.MediaGallery
+            ? new window.MediaGallery(galleryElement, this.productJson)
+            : null;
 
         // Current state
         this.currentVariant = this.getInitialVariant();
 
+        ProductForm.instances.set(container, this);
         this.init();
     }
 
     init() {
+        const { signal } = this.abortController;
+
         // Listen for option changes
         this.optionInputs.forEach(input => {
-            input.addEventListener('change', this.onOptionChange.bind(this));
+            input.addEventListener('change', this.onOptionChange.bind(this), { signal });
         });
 
         // Quantity controls
-        const quantityMinus = this.container.querySelector('[data-quantity-minus]');
-        const quantityPlus = this.container.querySelector('[data-quantity-plus]');
-
-        if (quantityMinus) {
-            quantityMinus.addEventListener('click', () => this.updateQuantity(-1));
+        if (this.quantityMinus) {
+            this.quantityMinus.addEventListener('click', () => this.updateQuantity(-1), { signal });
+        }
+        if (this.quantityPlus) {
+            this.quantityPlus.addEventListener('click', () => this.updateQuantity(1), { signal });
         }
-        if (quantityPlus) {
-            quantityPlus.addEventListener('click', () => this.updateQuantity(1));
+        if (this.quantityInput) {
+            // Live price while typing, snap to the rules once done
+            this.quantityInput.addEventListener('input', () => this.updatePrice(), { signal });
+            this.quantityInput.addEventListener('change', () => this.setQuantity(this.quantityInput.value), { signal });
         }
 
         // AJAX add to cart
         if (this.form) {
-            this.form.addEventListener('submit', this.onFormSubmit.bind(this));
+            this.form.addEventListener('submit', this.onFormSubmit.bind(this), { signal });
+        }
+
+        // Buy it now
+        if (this.buyNowButton) {
+            this.buyNowButton.addEventListener('click', this.onBuyNow.bind(this), { signal });
         }
 
-        // Check URL for variant parameter
-        this.checkUrlForVariant();
+        // Match the inputs to the variant from the URL, back/forward navigation
+        if (this.currentVariant) this.selectOptions(this.currentVariant.options);
+        if (this.syncUrl) window.VariantRouter?.connect(this);
 
         // Initial UI update
         this.updateUI();
     }
 
-    getInitialVariant() {
-        // Check URL params first
-        const urlParams = new URLSearchParams(window.location.search);
-        const variantId = urlParams.get('variant');
+    /**
+     * Remove listeners and forget the container (its markup can then be discarded)
+     */
+    destroy() {
+        this.abortController.abort();
+        ProductForm.instances.delete(this.container);
+    }
 
-        if (variantId) {
-            const variant = this.variants.find(v => v.id === parseInt(variantId));
-            if (variant) return variant;
-        }
+    getInitialVariant() {
+        // ?variant= or readable option params (?color=sage&size=m) first
+        const fromUrl = this.syncUrl ? window.VariantRouter?.parse(this.productJson) : null;
+        return fromUrl || this.getDefaultVariant();
+    }
 
-        // Otherwise return first available variant
+    /**
+     * Variant shown without one in the URL: the first available
+     */
+    getDefaultVariant() {
         return this.variants.find(v => v.available) || this.variants[0];
     }
 
-    checkUrlForVariant() {
-        const urlParams = new URLSearchParams(window.location.search);
-        const variantId = urlParams.get('variant');
-
-        if (variantId) {
-            const variant = this.variants.find(v => v.id === parseInt(variantId));
-            if (variant) {
-                // Set the option inputs to match this variant
-                variant.options.forEach((optionValue, index) => {
-                    const input = this.container.querySelector(
-                        `[data-option-input][data-option-index="${index}"][value="${optionValue}"]`
-                    );
-                    if (input) {
-                        input.checked = true;
-                    }
-                });
-                this.currentVariant = variant;
-            }
+    onOptionChange(event) {
+        const selectedOptions = this.getSelectedOptions();
+        let variant = this.getVariantFromOptions(selectedOptions);
+
+        // The new value doesn't exist with the other selections: move them
+        if (!variant) {
+            variant = this.findNearestVariant(selectedOptions, parseInt(event.target.dataset.optionIndex));
         }
+
+        // Also updates this form's selected-value labels
+        this.selectOptions(variant ? variant.options : selectedOptions);
+
+        this.changeVariant(variant);
     }
 
-    onOptionChange(event) {
-        const selectedOptions = this.getSelectedOptions();
-        this.currentVariant = this.getVariantFromOptions(selectedOptions);
+    /**
+     * Select a variant from outside the option inputs (e.g. the sticky bar)
+     * @param {Object|number|string} variant - Variant JSON or ID
+     */
+    setVariant(variant) {
+        const next = typeof variant === 'object'
+            ? variant
+            : this.variants.find(v => v.id === parseInt(variant));
+
+        if (!next || next === this.currentVariant) return;
+
+        this.selectOptions(next.options);
+        this.changeVariant(next);
+    }
+
+    /**
+     * Make a variant current, update the UI and URL, and announce it
+     * @param {Object|undefined} variant - undefined for an unavailable combination
+     */
+    changeVariant(variant) {
+        this.currentVariant = variant;
 
         this.updateUI();
         this.updateUrl();
+
+        this.container.dispatchEvent(new CustomEvent('variant:change', {
+            bubbles: true,
+            detail: { variant: variant || null, productId: this.productId, form: this }
+        }));
+    }
+
+    selectOptions(options) {
+        options.forEach((value, index) => {
+            const input = Array.from(this.optionInputs).find(el =>
+                parseInt(el.dataset.optionIndex) === index && el.value === value
+            );
+            if (input) input.checked = true;
+
+            const selectedText = this.container.querySelector(`[data-selected-option="${index}"]`);
+            if (selectedText) selectedText.textContent = value;
+        });
     }
 
     getSelectedOptions() {
@@ -120,14 +239,72 @@ class ProductForm {
     }
 
     getVariantFromOptions(options) {
-        return this.variants.find(variant => {
-            return options.every((option, index) => variant.options[index] === option);
+        return this.variantsByOptions.get(this.getOptionsKey(options));
+    }
+
+    getOptionsKey(options) {
+        return options.join('\u0000');
+    }
+
+    /**
+     * Closest variant that keeps one option fixed: available variants first,
+     * then the most other options in common, earlier options weighing more
+     */
+    findNearestVariant(options, fixedIndex) {
+        const candidates = this.variantsByValue[fixedIndex]?.get(options[fixedIndex]) || [];
+        const optionCount = this.options.length;
+        let nearest = null;
+        let nearestScore = -1;
+
+        candidates.forEach(variant => {
+            let score = variant.available ? 1 << optionCount : 0;
+
+            variant.options.forEach((value, index) => {
+                if (index !== fixedIndex && value === options[index]) {
+                    score += 1 << (optionCount - 1 - index);
+                }
+            });
+
+            if (score > nearestScore) {
+                nearest = variant;
+                nearestScore = score;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Mark each option value as available, sold out or unavailable (no such
+     * variant) when combined with the other currently selected options
+     */
+    updateOptionStates() {
+        const selectedOptions = this.getSelectedOptions();
+
+        this.optionInputs.forEach(input => {
+            const options = selectedOptions.slice();
+            options[parseInt(input.dataset.optionIndex)] = input.value;
+
+            const variant = this.getVariantFromOptions(options);
+            const state = !variant ? 'unavailable' : variant.available ? 'available' : 'sold-out';
+            input.dataset.optionState = state;
+
+            const stateLabel = input.closest('label')?.querySelector('[data-option-state-label]');
+            if (stateLabel) {
+                stateLabel.textContent = state === 'available'
+                    ? ''
+                    : window.I18n.t(state === 'sold-out' ? 'products.product.sold_out' : 'products.product.unavailable');
+            }
         });
     }
 
     updateUI() {
+        this.updateOptionStates();
+        this.updateBackInStock();
+        this.updatePersonalization();
+
         if (!this.currentVariant) {
-            this.updateAddToCartState(false, 'Unavailable');
+            this.updateAddToCartState(false, window.I18n.t('products.product.unavailable'));
             return;
         }
 
@@ -136,8 +313,8 @@ class ProductForm {
             this.variantIdInput.value = this.currentVariant.id;
         }
 
-        // Update price
-        this.updatePrice();
+        // Re-apply quantity rules (also updates the price)
+        this.setQuantity(this.getQuantity());
 
         // Update availability 
         this.updateAvailability();
@@ -150,13 +327,18 @@ class ProductForm {
     }
 
     updatePrice() {
-        if (!this.priceElement) return;
+        if (!this.priceElement || !this.currentVariant) return;
 
-        const price = this.formatMoney(this.currentVariant.price);
-        this.priceElement.textContent = price;
+        // Volume pricing: the unit price drops as the quantity reaches each tier
+        const rule = this.getQuantityRule();
+        const quantity = this.getQuantity();
+        const unitPrice = window.QuantityRules.getUnitPrice(this.currentVariant.price, rule.priceBreaks, quantity);
+
+        this.priceElement.textContent = this.formatMoney(unitPrice);
+        this.renderPriceBreaks(rule.priceBreaks, quantity);
 
         if (this.comparePriceElement) {
-            if (this.currentVariant.compare_at_price > this.currentVariant.price) {
+            if (this.currentVariant.compare_at_price > unitPrice) {
                 this.comparePriceElement.textContent = this.formatMoney(this.currentVariant.compare_at_price);
                 this.comparePriceElement.classList.remove('hidden');
                 this.priceElement.classList.add('text-red-600');
@@ -167,14 +349,68 @@ class ProductForm {
         }
     }
 
+    renderPriceBreaks(priceBreaks = [], quantity) {
+        if (!this.priceBreaksList) return;
+
+        const activeTier = priceBreaks
+            .filter(tier => quantity >= tier.minimumQuantity)
+            .reduce((best, tier) => (!best || tier.minimumQuantity > best.minimumQuantity ? tier : best), null);
+
+        this.priceBreaksList.hidden = priceBreaks.length === 0;
+        this.priceBreaksList.replaceChildren(...priceBreaks.map(tier => {
+            const item = document.createElement('li');
+            item.textContent = window.I18n.t('products.product.price_break', {
+                quantity: tier.minimumQuantity,
+                price: this.formatMoney(tier.price)
+            });
+            item.classList.toggle('font-bold', tier === activeTier);
+            item.classList.toggle('text-stone-900', tier === activeTier);
+            return item;
+        }));
+    }
+
     updateAvailability() {
         if (this.currentVariant.available) {
-            this.updateAddToCartState(true, 'Add to Cart');
+            this.updateAddToCartState(true, window.I18n.t('products.product.add_to_cart'));
         } else {
-            this.updateAddToCartState(false, 'Sold Out');
+            this.updateAddToCartState(false, window.I18n.t('products.product.sold_out'));
+        }
+    }
+
+    updateBackInStock() {
+        if (!this.backInStockForm) return;
+
+        // Sold out (but existing) variants swap the buttons for the signup form
+        const soldOut = Boolean(this.currentVariant) && !this.currentVariant.available;
+
+        this.backInStockForm.hidden = !soldOut;
+        if (this.addToCartButton) this.addToCartButton.hidden = soldOut;
+        if (this.buyNowButton) this.buyNowButton.hidden = soldOut;
+
+        if (soldOut) {
+            window.BackInStock?.setVariant(this.backInStockForm, this.currentVariant);
         }
     }
 
+    updatePersonalization() {
+        if (!this.personalization || !window.Personalization) return;
+
+        window.Personalization.updateVisibility(this.personalization, this.currentVariant);
+    }
+
+    /**
+     * Personalization fields first (inline messages), then native constraints
+     * @returns {boolean}
+     */
+    validateForm() {
+        if (this.personalization && window.Personalization &&
+            !window.Personalization.validate(this.personalization)) {
+            return false;
+        }
+
+        return this.form.reportValidity();
+    }
+
     updateAddToCartState(enabled, text) {
         if (this.addToCartButton) {
             this.addToCartButton.disabled = !enabled;
@@ -185,109 +421,203 @@ class ProductForm {
         if (this.addToCartText) {
             this.addToCartText.textContent = text;
         }
+
+        if (this.buyNowButton) {
+            this.buyNowButton.disabled = !enabled;
+        }
     }
 
     updateImage() {
-        if (!this.mainImage || !this.currentVariant.featured_image) return;
-
-        const newSrc = this.currentVariant.featured_image.src.replace(/(\.[^.]*)$/, '_800x$1');
-        this.mainImage.src = newSrc;
-        this.mainImage.alt = this.currentVariant.featured_image.alt || this.productJson.title;
+        this.gallery?.showVariant(this.currentVariant);
     }
 
     updateStockStatus() {
         if (!this.stockStatus) return;
 
         if (!this.currentVariant.available) {
-            this.stockStatus.innerHTML = '<span class="text-red-600">Out of Stock</span>';
+            this.renderStockStatus('text-red-600', window.I18n.t('products.product.out_of_stock'));
         } else if (this.currentVariant.inventory_management &&
             this.currentVariant.inventory_quantity <= 5 &&
             this.currentVariant.inventory_quantity > 0) {
-            this.stockStatus.innerHTML = `<span class="text-amber-600">Only ${this.currentVariant.inventory_quantity} left</span>`;
+            this.renderStockStatus('text-amber-600', window.I18n.t('products.product.low_stock', {
+                quantity: this.currentVariant.inventory_quantity
+            }));
         } else {
-            this.stockStatus.innerHTML = '<span class="text-green-600">In Stock</span>';
+            this.renderStockStatus('text-green-600', window.I18n.t('products.product.in_stock'));
         }
     }
 
+    renderStockStatus(className, text) {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        this.stockStatus.replaceChildren(span);
+    }
+
     updateUrl() {
-        if (!this.currentVariant) return;
+        if (!this.currentVariant || !this.syncUrl) return;
 
-        const url = new URL(window.location.href);
-        url.searchParams.set('variant', this.currentVariant.id);
-        window.history.replaceState({}, '', url);
+        window.VariantRouter?.navigate(this);
+    }
+
+    /**
+     * Quantity rule for the current variant (see quantity-rules.js)
+     */
+    getQuantityRule() {
+        return this.quantityRules[this.currentVariant?.id] || window.QuantityRules.DEFAULT_RULE;
+    }
+
+    /**
+     * Quantity to add: the input, or the variant's minimum without a selector
+     */
+    getQuantity() {
+        const rule = this.getQuantityRule();
+        const value = this.quantityInput ? parseInt(this.quantityInput.value) : NaN;
+
+        return Number.isNaN(value) ? window.QuantityRules.resolve(rule).min : value;
     }
 
     updateQuantity(change) {
         if (!this.quantityInput) return;
 
-        const currentValue = parseInt(this.quantityInput.value) || 1;
-        const newValue = Math.max(1, currentValue + change);
-        this.quantityInput.value = newValue;
+        this.setQuantity(window.QuantityRules.step(this.getQuantity(), change, this.getQuantityRule()));
+    }
+
+    /**
+     * Snap a quantity to the current variant's rules and sync the controls
+     * @param {number|string} quantity
+     */
+    setQuantity(quantity) {
+        if (this.quantityInput) {
+            const rule = this.getQuantityRule();
+            const { min, max, increment } = window.QuantityRules.resolve(rule);
+            const value = window.QuantityRules.normalize(quantity, rule) || min;
+
+            this.quantityInput.value = value;
+            this.quantityInput.min = min;
+            this.quantityInput.step = increment;
+            if (max !== null) {
+                this.quantityInput.max = max;
+            } else {
+                this.quantityInput.removeAttribute('max');
+            }
+
+            if (this.quantityMinus) this.quantityMinus.disabled = value <= min;
+            if (this.quantityPlus) this.quantityPlus.disabled = !window.QuantityRules.canIncrease(value, rule);
+
+            this.renderQuantityRules(rule);
+        }
+
+        this.updatePrice();
+    }
+
+    renderQuantityRules(rule) {
+        if (!this.quantityRulesText) return;
+
+        // Only spell out rules that differ from the default "1 or more"
+        const hints = [];
+        if (rule.min > 1) hints.push(window.I18n.t('products.product.quantity_min', { quantity: rule.min }));
+        if (rule.max) hints.push(window.I18n.t('products.product.quantity_max', { quantity: rule.max }));
+        if (rule.increment > 1) hints.push(window.I18n.t('products.product.quantity_increment', { quantity: rule.increment }));
+
+        this.quantityRulesText.textContent = hints.join(' · ');
+        this.quantityRulesText.hidden = hints.length === 0;
     }
 
     async onFormSubmit(event) {
+        // The form is novalidate, so this covers regular submits too
+        if (!this.validateForm()) {
+            event.preventDefault();
+            return;
+        }
+
         // Check if AJAX cart is enabled
-        if (!window.theme?.ajaxCart) return;
+        if (!this.ajaxCart) return;
 
         event.preventDefault();
 
         const formData = new FormData(this.form);
+        formData.set('quantity', this.getQuantity());
+        const messageAnchor = this.addToCartButton?.parentElement;
 
         // Show loading state
-        this.updateAddToCartState(false, 'Adding...');
+        window.Notifications.clear(messageAnchor);
+        this.updateAddToCartState(false, window.I18n.t('products.product.adding'));
 
         try {
-            const response = await fetch(window.routes.cart_add_url, {
-                method: 'POST',
-                body: formData,
-                headers: {
-                    'X-Requested-With': 'XMLHttpRequest'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error('Add to cart failed');
-            }
-
-            const result = await response.json();
-
-            // Trigger cart update event
-            document.dispatchEvent(new CustomEvent('cart:updated', {
-                detail: { item: result }
-            }));
+            // Cart broadcasts cart:item-added, which opens the drawer
+            await window.Cart.add(formData);
 
             // Brief success state
-            this.updateAddToCartState(true, 'Added!');
+            this.updateAddToCartState(true, window.I18n.t('products.product.added'));
 
             setTimeout(() => {
-                this.updateAddToCartState(true, 'Add to Cart');
+                this.updateAvailability();
             }, 1500);
 
-            // Open cart drawer if available
-            document.dispatchEvent(new CustomEvent('cart:open'));
-
         } catch (error) {
-            console.error('Add to cart error:', error);
-            this.updateAddToCartState(true, 'Error - Try Again');
+            // Show Shopify's reason (e.g. not enough stock) below the buttons
+            window.Notifications.inline(messageAnchor, error.message);
+            this.updateAvailability();
+        }
+    }
 
-            setTimeout(() => {
-                this.updateAvailability();
-            }, 2000);
+    async onBuyNow() {
+        // Same availability state as the add to cart button
+        if (!this.currentVariant?.available || !this.validateForm()) return;
+
+        const formData = new FormData(this.form);
+        const quantity = this.getQuantity();
+        formData.set('quantity', quantity);
+        const root = window.Shopify?.routes?.root || '/';
+
+        // Cart permalinks can't carry line item properties (empty fields don't count)
+        const hasProperties = Array.from(formData.entries()).some(([key, value]) => {
+            if (!key.startsWith('properties[')) return false;
+            return value instanceof File ? value.size > 0 : value.trim() !== '';
+        });
+
+        if (this.buyNowMode === 'permalink' && !hasProperties) {
+            window.location.href = `${root}cart/${this.currentVariant.id}:${quantity}`;
+            return;
+        }
+
+        window.Notifications.clear(this.buyNowButton);
+        this.updateAddToCartState(false, window.I18n.t('products.product.adding'));
+
+        try {
+            // Add before removing the other lines, so a rejected add leaves the cart as it was
+            const before = new Map((await window.Cart.get()).items.map(item => [item.key, item.quantity]));
+
+            // Silent add: the drawer shouldn't open on the way to checkout
+            const cart = await window.Cart.add(formData, { silent: true });
+
+            // Lines from before go; one the add merged into keeps only the added quantity
+            const updates = {};
+            cart.items.forEach(item => {
+                if (!before.has(item.key)) return;
+                updates[item.key] = Math.max(0, item.quantity - before.get(item.key));
+            });
+
+            if (Object.keys(updates).length > 0) {
+                await window.Cart.update({ updates });
+            }
+            window.location.href = `${root}checkout`;
+        } catch (error) {
+            window.Notifications.inline(this.buyNowButton, error.message);
+            this.updateAvailability();
         }
     }
 
     formatMoney(cents) {
-        // Basic money formatting - uses Shopify's money format if available
-        const amount = (cents / 100).toFixed(2);
-        const format = window.theme?.moneyFormat || '${{amount}}';
-        return format.replace('{{amount}}', amount).replace('{{amount_no_decimals}}', Math.floor(cents / 100));
+        return window.Money.format(cents);
     }
 }
 
 // Initialize all product forms on page
 document.addEventListener('DOMContentLoaded', () => {
     document.querySelectorAll('[data-product-form]').forEach(container => {
-        new ProductForm(container);
+        ProductForm.mount(container);
     });
 });
 
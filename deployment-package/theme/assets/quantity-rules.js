@@ -0,0 +1,92 @@
+/**
+ * Quantity Rules Module
+ * Shopify quantity rules (min / max / increment), inventory caps for
+ * variants that can't oversell, and volume price breaks. Shared by
+ * ProductForm and the cart drawer's +/- buttons.
+ *
+ * A rule is { min, max, increment, inventory }; max and inventory are null
+ * when there's no limit.
+ */
+
+const QuantityRules = {
+    DEFAULT_RULE: { min: 1, max: null, increment: 1, inventory: null },
+
+    /**
+     * Fill in defaults and fold the inventory cap into max
+     * @param {Object} [rule]
+     * @returns {{min: number, max: number|null, increment: number}}
+     */
+    resolve(rule = {}) {
+        const { min, max, increment, inventory } = { ...this.DEFAULT_RULE, ...rule };
+        const step = Math.max(1, increment || 1);
+        const limits = [max, inventory].filter(limit => limit !== null && limit !== undefined);
+
+        return {
+            min: Math.max(step, min || 1),
+            max: limits.length > 0 ? Math.floor(Math.min(...limits) / step) * step : null,
+            increment: step
+        };
+    },
+
+    /**
+     * Closest quantity the rule allows
+     * @param {number} quantity
+     * @param {Object} rule
+     * @returns {number} 0 when nothing can be bought (e.g. inventory below min)
+     */
+    normalize(quantity, rule) {
+        const { min, max, increment } = this.resolve(rule);
+        if (max !== null && max < min) return 0;
+
+        let value = Math.round((Number(quantity) || 0) / increment) * increment;
+        value = Math.max(min, value);
+
+        return max !== null ? Math.min(max, value) : value;
+    },
+
+    /**
+     * Move one increment up or down, staying within the rule
+     * @param {number} quantity - Current quantity
+     * @param {number} direction - 1 or -1
+     * @param {Object} rule
+     * @param {Object} [options]
+     * @param {boolean} [options.allowZero] - Stepping below min goes to 0 (cart lines)
+     * @returns {number}
+     */
+    step(quantity, direction, rule, options = {}) {
+        const { min, increment } = this.resolve(rule);
+        const next = quantity + direction * increment;
+
+        if (next < min) {
+            return options.allowZero ? 0 : this.normalize(min, rule);
+        }
+
+        return this.normalize(next, rule);
+    },
+
+    /**
+     * Whether another increment can be added
+     * @param {number} quantity
+     * @param {Object} rule
+     * @returns {boolean}
+     */
+    canIncrease(quantity, rule) {
+        const { max, increment } = this.resolve(rule);
+        return max === null || quantity + increment <= max;
+    },
+
+    /**
+     * Unit price for a quantity given volume price breaks
+     * @param {number} basePrice - Price in cents without breaks
+     * @param {Array<{minimumQuantity: number, price: number}>} priceBreaks
+     * @param {number} quantity
+     * @returns {number} Price in cents
+     */
+    getUnitPrice(basePrice, priceBreaks = [], quantity = 1) {
+        return priceBreaks
+            .filter(tier => quantity >= tier.minimumQuantity)
+            .reduce((price, tier) => Math.min(price, tier.price), basePrice);
+    }
+};
+
+window.QuantityRules = QuantityRules;
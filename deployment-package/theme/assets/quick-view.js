@@ -0,0 +1,198 @@
+/**
+ * Quick View Module
+ * Opens a product from a card ([data-quick-view-trigger="handle"]) in a
+ * dialog without leaving the page. The product is fetched through the
+ * Section Rendering API, like RecentlyViewed.render fetches product cards,
+ * and gets its own ProductForm, which is torn down again on close.
+ */
+
+const QuickView = {
+    modal: null,
+    overlay: null,
+    content: null,
+    /** ProductForm running inside the dialog */
+    activeForm: null,
+    /** Incremented per open/close so late responses are dropped */
+    requestId: 0,
+    /** Script src → load promise */
+    scripts: new Map(),
+
+    /**
+     * Initialize quick view triggers and the dialog
+     */
+    init() {
+        this.modal = document.querySelector('[data-quick-view]');
+        this.overlay = document.querySelector('[data-quick-view-overlay]');
+        if (!this.modal) return;
+
+        this.content = this.modal.querySelector('[data-quick-view-content]');
+
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-quick-view-trigger]');
+            if (!trigger) return;
+
+            // Triggers sit inside the card's product link
+            e.preventDefault();
+            this.open(trigger.dataset.quickViewTrigger, trigger);
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target.closest('[data-quick-view-close]')) this.close();
+        });
+        this.overlay?.addEventListener('click', () => this.close());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.close();
+        });
+
+        // Added to cart: make way for the cart drawer
+        document.addEventListener('cart:item-added', () => {
+            if (this.isOpen()) this.close();
+        });
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.modal) && !this.modal.hidden;
+    },
+
+    /**
+     * Open the dialog and load a product into it
+     * @param {string} handle - Product handle
+     * @param {HTMLElement} [opener] - Element to refocus on close
+     */
+    async open(handle, opener = document.activeElement) {
+        if (!this.modal || !handle) return;
+
+        const requestId = ++this.requestId;
+        this._clear();
+        this._setState('loading');
+
+        if (!this.isOpen()) {
+            this.modal.hidden = false;
+            if (this.overlay) this.overlay.hidden = false;
+            document.body.style.overflow = 'hidden';
+
+            window.A11y.openDialog(this.modal, {
+                opener,
+                exclude: [this.overlay]
+            });
+        }
+
+        try {
+            const [html] = await Promise.all([this._fetch(handle), this._loadScripts()]);
+            if (requestId !== this.requestId) return;
+
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            const product = doc.querySelector('[data-quick-view-product]');
+            if (!product) throw new Error('Quick view markup missing');
+
+            this.content.replaceChildren(product);
+            this.activeForm = window.ProductForm.mount(product, {
+                productJson: JSON.parse(product.querySelector('[data-product-json]').textContent),
+                syncUrl: false,
+                ajaxCart: this.modal.dataset.ajaxCart === 'true'
+            });
+
+            this._setState('ready');
+        } catch (e) {
+            if (requestId !== this.requestId) return;
+
+            console.error('QuickView: Failed to load product', e);
+            this._setState('error');
+        }
+    },
+
+    /**
+     * Close the dialog and tear down its ProductForm
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.requestId++;
+        this._clear();
+
+        this.modal.hidden = true;
+        if (this.overlay) this.overlay.hidden = true;
+        document.body.style.overflow = '';
+
+        window.A11y.closeDialog(this.modal);
+    },
+
+    /**
+     * Stop the current ProductForm and empty the dialog
+     * @private
+     */
+    _clear() {
+        this.activeForm?.destroy();
+        this.activeForm = null;
+        this.content.replaceChildren();
+    },
+
+    /**
+     * Toggle the loading and error messages
+     * @private
+     */
+    _setState(state) {
+        this.modal.querySelector('[data-quick-view-loading]').hidden = state !== 'loading';
+        this.modal.querySelector('[data-quick-view-error]').hidden = state !== 'error';
+        this.modal.setAttribute('aria-busy', (state === 'loading').toString());
+    },
+
+    /**
+     * Quick view section HTML for a product
+     * @private
+     */
+    async _fetch(handle) {
+        const root = window.Shopify?.routes?.root || '/';
+        const response = await fetch(`${root}products/${encodeURIComponent(handle)}?section_id=quick-view`);
+
+        if (!response.ok) throw new Error(`Quick view responded ${response.status}`);
+        return response.text();
+    },
+
+    /**
+     * Load the product scripts this page doesn't already have
+     * (collection pages don't include product-form.js)
+     * @private
+     */
+    _loadScripts() {
+        const sources = (this.modal.dataset.scripts || '').split(',').filter(Boolean);
+        return Promise.all(sources.map(src => this._loadScript(src)));
+    },
+
+    /**
+     * @private
+     */
+    _loadScript(src) {
+        if (!this.scripts.has(src)) {
+            // Already on the page (e.g. a product page): loading it twice would redeclare its globals
+            const url = new URL(src, window.location.href).href;
+            const existing = Array.from(document.scripts).some(script => script.src === url);
+
+            this.scripts.set(src, existing ? Promise.resolve() : new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = resolve;
+                script.onerror = () => {
+                    this.scripts.delete(src);
+                    reject(new Error(`Failed to load ${src}`));
+                };
+                document.head.appendChild(script);
+            }));
+        }
+
+        return this.scripts.get(src);
+    }
+};
+
+// Auto-init
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => QuickView.init());
+} else {
+    QuickView.init();
+}
+
+window.QuickView = QuickView;
@@ -0,0 +1,192 @@
+/**
+ * Search Analytics Module
+ * Forwards the events PredictiveSearch dispatches on document for committed
+ * searches to analytics adapters, only once the shopper has given
+ * 'analytics' cookie consent:
+ * - search:query { query }
+ * - search:results { query, counts: { products, collections, articles }, total }
+ * - search:result-click { query, position, type, title, url }
+ * - search:zero-results { query }
+ *
+ * Adapters run when their script is on the page:
+ * - ga4: gtag `search` and `select_item` events
+ * - klaviyo: tracked events on the shopper's profile
+ * Others can be added with registerAdapter().
+ *
+ * Zero-result queries are also kept in a local buffer (getZeroResults()).
+ */
+
+const SearchAnalytics = {
+    EVENTS: ['search:query', 'search:results', 'search:result-click', 'search:zero-results'],
+    ZERO_RESULTS_KEY: 'athyre_search_zero_results',
+    MAX_ZERO_RESULTS: 50,
+
+    /** Name → { isAvailable(): boolean, track(name, detail) } */
+    adapters: {
+        ga4: {
+            isAvailable() {
+                return typeof window.gtag === 'function' || Array.isArray(window.dataLayer);
+            },
+
+            track(name, detail) {
+                if (name === 'search:results') {
+                    SearchAnalytics._gtag('event', 'search', {
+                        search_term: detail.query,
+                        results_count: detail.total
+                    });
+                } else if (name === 'search:result-click') {
+                    SearchAnalytics._gtag('event', 'select_item', {
+                        item_list_id: 'predictive_search',
+                        item_list_name: 'Predictive search',
+                        items: [{
+                            item_name: detail.title,
+                            item_category: detail.type,
+                            index: detail.position
+                        }]
+                    });
+                }
+            }
+        },
+
+        klaviyo: {
+            /** Theme event → Klaviyo metric */
+            METRICS: {
+                'search:query': 'Searched Site',
+                'search:result-click': 'Clicked Search Result',
+                'search:zero-results': 'Searched Site Without Results'
+            },
+
+            isAvailable() {
+                return Boolean(window.klaviyo || window._learnq);
+            },
+
+            track(name, detail) {
+                const metric = this.METRICS[name];
+                if (metric) (window.klaviyo || window._learnq).push(['track', metric, detail]);
+            }
+        }
+    },
+
+    /**
+     * Listen for search events
+     */
+    init() {
+        this.EVENTS.forEach(name => {
+            document.addEventListener(name, (e) => this.track(name, e.detail));
+        });
+
+        // Consent withdrawn: forget the buffer
+        document.addEventListener('cookie:consent', (e) => {
+            if (!e.detail.analytics) this.clearZeroResults();
+        });
+    },
+
+    /**
+     * Add or replace an adapter
+     * @param {string} name
+     * @param {Object} adapter - { isAvailable(): boolean, track(name, detail) }
+     */
+    registerAdapter(name, adapter) {
+        this.adapters[name] = adapter;
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    hasConsent() {
+        return Boolean(window.CookieConsent?.hasConsent('analytics'));
+    },
+
+    /**
+     * Send an event to every available adapter
+     * @param {string} name - One of EVENTS
+     * @param {Object} detail
+     */
+    track(name, detail) {
+        if (!this.hasConsent()) return;
+
+        if (name === 'search:zero-results') this._bufferZeroResult(detail.query);
+
+        Object.entries(this.adapters).forEach(([adapterName, adapter]) => {
+            if (!adapter.isAvailable()) return;
+
+            try {
+                adapter.track(name, detail);
+            } catch (e) {
+                console.warn(`SearchAnalytics: ${adapterName} adapter failed`, e);
+            }
+        });
+    },
+
+    /**
+     * Queries that returned nothing
+     * @returns {Array} { query, count, lastSearchedAt } entries, most recent first
+     */
+    getZeroResults() {
+        try {
+            const data = localStorage.getItem(this.ZERO_RESULTS_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (e) {
+            console.warn('SearchAnalytics: Failed to parse localStorage', e);
+            return [];
+        }
+    },
+
+    /**
+     * Clear the zero-results buffer
+     */
+    clearZeroResults() {
+        try {
+            localStorage.removeItem(this.ZERO_RESULTS_KEY);
+        } catch (e) {
+            console.error('SearchAnalytics: Failed to clear localStorage', e);
+        }
+    },
+
+    /**
+     * Count a zero-result query, moving it to the front
+     * @private
+     */
+    _bufferZeroResult(query) {
+        const normalized = (query || '').trim().toLowerCase();
+        if (!normalized) return;
+
+        const items = this.getZeroResults();
+        const existing = items.find(item => item.query === normalized);
+        const entry = {
+            query: normalized,
+            count: (existing?.count || 0) + 1,
+            lastSearchedAt: new Date().toISOString()
+        };
+
+        const next = [entry, ...items.filter(item => item !== existing)].slice(0, this.MAX_ZERO_RESULTS);
+
+        try {
+            localStorage.setItem(this.ZERO_RESULTS_KEY, JSON.stringify(next));
+        } catch (e) {
+            console.error('SearchAnalytics: Failed to save to localStorage', e);
+        }
+    },
+
+    /**
+     * gtag() call, queued on dataLayer until gtag.js defines it
+     * @private
+     */
+    _gtag() {
+        if (typeof window.gtag === 'function') {
+            window.gtag(...arguments);
+        } else {
+            window.dataLayer = window.dataLayer || [];
+            window.dataLayer.push(arguments);
+        }
+    }
+};
+
+// Auto-init
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => SearchAnalytics.init());
+} else {
+    SearchAnalytics.init();
+}
+
+window.SearchAnalytics = SearchAnalytics;
@@ -0,0 +1,119 @@
+/**
+ * Search History Module
+ * The shopper's recent searches and clicked search results, shown by
+ * PredictiveSearch while the search box is empty.
+ * Persists to localStorage only with 'preferences' cookie consent;
+ * withdrawing consent clears what was stored.
+ * Max 8 entries
+ */
+
+const SearchHistory = {
+    STORAGE_KEY: 'athyre_search_history',
+    MAX_ITEMS: 8,
+
+    /**
+     * Whether history may be stored
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(window.CookieConsent?.hasConsent('preferences'));
+    },
+
+    /**
+     * Get all entries
+     * @returns {Array} { type: 'query', query } and { type: 'result', title, url } entries, most recent first
+     */
+    getAll() {
+        if (!this.isEnabled()) return [];
+
+        try {
+            const data = localStorage.getItem(this.STORAGE_KEY);
+            const items = data ? JSON.parse(data) : [];
+            return Array.isArray(items) ? items.filter(item => this._isValid(item)) : [];
+        } catch (e) {
+            console.warn('SearchHistory: Failed to parse localStorage', e);
+            return [];
+        }
+    },
+
+    /**
+     * Remember a submitted query
+     * @param {string} query
+     */
+    addQuery(query) {
+        this._add({ type: 'query', query: (query || '').trim() });
+    },
+
+    /**
+     * Remember a clicked result
+     * @param {Object} result
+     * @param {string} result.title
+     * @param {string} result.url - Storefront path
+     */
+    addResult({ title, url }) {
+        this._add({ type: 'result', title: (title || '').trim(), url });
+    },
+
+    /**
+     * Clear all entries
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch (e) {
+            console.error('SearchHistory: Failed to clear localStorage', e);
+        }
+    },
+
+    /**
+     * Add an entry to the front, dropping its older copy
+     * @private
+     */
+    _add(entry) {
+        if (!this.isEnabled() || !this._isValid(entry)) return;
+
+        const items = this.getAll().filter(item => !this._isSame(item, entry));
+        items.unshift(entry);
+
+        this._save(items.slice(0, this.MAX_ITEMS));
+    },
+
+    /**
+     * Well-formed entry; results must link within the store
+     * @private
+     */
+    _isValid(item) {
+        if (item?.type === 'query') return typeof item.query === 'string' && item.query !== '';
+
+        return item?.type === 'result'
+            && typeof item.title === 'string' && item.title !== ''
+            && typeof item.url === 'string' && item.url.startsWith('/') && !item.url.startsWith('//');
+    },
+
+    /**
+     * @private
+     */
+    _isSame(a, b) {
+        if (a.type !== b.type) return false;
+        return a.type === 'query' ? a.query.toLowerCase() === b.query.toLowerCase() : a.url === b.url;
+    },
+
+    /**
+     * Save to localStorage
+     * @private
+     */
+    _save(items) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(items));
+        } catch (e) {
+            console.error('SearchHistory: Failed to save to localStorage', e);
+        }
+    }
+};
+
+// Consent withdrawn: forget what was stored
+document.addEventListener('cookie:consent', (e) => {
+    if (!e.detail.preferences) SearchHistory.clear();
+});
+
+window.SearchHistory = SearchHistory;
@@ -0,0 +1,129 @@
+/**
+ * Sticky Add To Cart Module
+ * Shows [data-sticky-atc] once the product form's add to cart button has
+ * scrolled up out of view, and keeps it in sync with that ProductForm both
+ * ways: variant:change events and the form's price and button update the
+ * bar; the bar's variant select calls setVariant() and its button submits
+ * the product form (so validation and the cart drawer behave the same).
+ */
+
+const StickyAddToCart = {
+    /**
+     * Initialize sticky bars on the page
+     */
+    init() {
+        document.querySelectorAll('[data-sticky-atc]').forEach(bar => this.setup(bar));
+    },
+
+    /**
+     * Connect a bar to its product's ProductForm
+     * @param {HTMLElement} bar
+     */
+    setup(bar) {
+        const container = document.querySelector(`[data-product-form][data-product-id="${bar.dataset.productId}"]`);
+        if (!container || !window.ProductForm) return;
+
+        const form = window.ProductForm.mount(container);
+        if (!form.addToCartButton) return;
+
+        const select = bar.querySelector('[data-sticky-atc-variant]');
+        const button = bar.querySelector('[data-sticky-atc-button]');
+
+        container.addEventListener('variant:change', () => this.render(bar, form));
+
+        // Price breaks and "Adding..." states change without a variant change
+        const observer = new MutationObserver(() => this.render(bar, form));
+        [form.priceElement, form.addToCartButton].filter(Boolean).forEach(element => {
+            observer.observe(element, { attributes: true, childList: true, characterData: true, subtree: true });
+        });
+
+        select?.addEventListener('change', () => form.setVariant(select.value));
+
+        button.addEventListener('click', () => {
+            form.form.requestSubmit(form.addToCartButton);
+        });
+
+        // The form shows errors next to its own button, which is off-screen now
+        document.addEventListener('cart:error', (e) => {
+            if (e.detail.action === 'add' && bar.classList.contains('is-visible')) {
+                window.Notifications.toast(e.detail.message);
+            }
+        });
+
+        // Shown only after scrolling past the button, not before reaching it.
+        // Watches the button's row: the button itself is hidden while sold out.
+        new IntersectionObserver(([entry]) => {
+            this.toggle(bar, !entry.isIntersecting && entry.boundingClientRect.bottom < 0);
+        }).observe(form.addToCartButton.parentElement);
+
+        // The bar's height, and whether it shows at all (md breakpoint), change with the viewport
+        let resizeFrame = null;
+        window.addEventListener('resize', () => {
+            cancelAnimationFrame(resizeFrame);
+            resizeFrame = requestAnimationFrame(() => this.updatePadding(bar));
+        }, { passive: true });
+        window.matchMedia('(min-width: 768px)').addEventListener('change', () => this.updatePadding(bar));
+
+        this.render(bar, form);
+    },
+
+    /**
+     * Show or hide a bar
+     * @param {HTMLElement} bar
+     * @param {boolean} visible
+     */
+    toggle(bar, visible) {
+        bar.classList.toggle('is-visible', visible);
+        bar.inert = !visible;
+        this.updatePadding(bar);
+    },
+
+    /**
+     * Reserve room below the page for a visible bar, so it never covers the footer
+     * @param {HTMLElement} bar
+     */
+    updatePadding(bar) {
+        // Hidden by CSS at this breakpoint (display: mobile only)
+        const displayed = bar.getClientRects().length > 0;
+        const visible = bar.classList.contains('is-visible');
+
+        document.body.style.paddingBottom = visible && displayed ? `${bar.offsetHeight}px` : '';
+    },
+
+    /**
+     * Copy the form's current variant, price and button state to a bar
+     * @param {HTMLElement} bar
+     * @param {ProductForm} form
+     */
+    render(bar, form) {
+        const variant = form.currentVariant;
+
+        const price = bar.querySelector('[data-sticky-atc-price]');
+        if (price && form.priceElement) price.textContent = form.priceElement.textContent;
+
+        const title = bar.querySelector('[data-sticky-atc-variant-title]');
+        if (title) title.textContent = variant ? variant.title : window.I18n.t('products.product.unavailable');
+
+        const select = bar.querySelector('[data-sticky-atc-variant]');
+        if (select) {
+            if (variant) {
+                select.value = variant.id;
+            } else {
+                select.selectedIndex = -1;
+            }
+        }
+
+        const button = bar.querySelector('[data-sticky-atc-button]');
+        button.disabled = form.addToCartButton.disabled;
+        button.textContent = form.addToCartText?.textContent.trim() || button.textContent;
+    }
+};
+
+// Auto-init (after product-form.js, which is also deferred)
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => StickyAddToCart.init());
+} else {
+    StickyAddToCart.init();
+}
+
+window.StickyAddToCart = StickyAddToCart;
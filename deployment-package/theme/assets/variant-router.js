@@ -0,0 +1,198 @@
+/**
+ * Variant Router
+ * Keeps the product page URL and the selected variant in step for the main
+ * ProductForm (the one with syncUrl):
+ * - Reads ?variant=<id> or readable option params (?color=sage&size=m)
+ * - Pushes a history entry per variant change; back/forward re-selects it
+ * - Updates the canonical link, Open Graph / Twitter tags and the JSON-LD
+ *   offer so shares and crawlers see the selected variant
+ *
+ * URLs carry both the option params and ?variant=, which Shopify needs to
+ * render the page (and its share tags) for that variant.
+ */
+
+const VariantRouter = {
+    /** Set while applying a popstate, so the change isn't pushed again */
+    restoring: false,
+
+    /**
+     * Start routing for a product form
+     * @param {ProductForm} form
+     */
+    connect(form) {
+        window.addEventListener('popstate', () => {
+            const variant = this.parse(form.productJson) || form.getDefaultVariant();
+
+            this.restoring = true;
+            form.setVariant(variant);
+            this.restoring = false;
+        }, { signal: form.abortController.signal });
+
+        // The server only knows ?variant=; readable params are resolved here
+        if (form.currentVariant) this.updateMeta(form.productJson, form.currentVariant);
+    },
+
+    /**
+     * Record a variant change made on a form
+     * @param {ProductForm} form
+     */
+    navigate(form) {
+        const variant = form.currentVariant;
+        if (!variant) return;
+
+        this.updateMeta(form.productJson, variant);
+        if (this.restoring) return;
+
+        const url = this.buildUrl(form.productJson, variant);
+        if (url !== window.location.href) {
+            window.history.pushState({ variantId: variant.id }, '', url);
+        }
+    },
+
+    /**
+     * Variant a URL points at
+     * @param {Object} productJson
+     * @param {string} [search] - Query string (defaults to the current URL's)
+     * @returns {Object|null} Variant JSON
+     */
+    parse(productJson, search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const variantId = parseInt(params.get('variant'), 10);
+
+        if (variantId) {
+            const variant = productJson.variants.find(v => v.id === variantId);
+            if (variant) return variant;
+        }
+
+        // Readable params: any subset of options, matched by handle
+        const wanted = productJson.options.map(option => {
+            const value = params.get(this._getOptionKey(option));
+            return value ? this._handleize(value) : null;
+        });
+
+        if (wanted.every(value => value === null)) return null;
+
+        const matches = productJson.variants.filter(variant => {
+            return variant.options.every((value, index) => {
+                return wanted[index] === null || this._handleize(value) === wanted[index];
+            });
+        });
+
+        return matches.find(v => v.available) || matches[0] || null;
+    },
+
+    /**
+     * URL for a variant, keeping unrelated query params
+     * @param {Object} productJson
+     * @param {Object} variant - Variant JSON
+     * @param {string} [base] - URL to start from (defaults to the current one)
+     * @returns {string}
+     */
+    buildUrl(productJson, variant, base = window.location.href) {
+        const url = new URL(base);
+        const readable = productJson.variants.length > 1;
+
+        productJson.options.forEach((option, index) => {
+            const key = this._getOptionKey(option);
+            if (readable) {
+                url.searchParams.set(key, this._handleize(variant.options[index]));
+            } else {
+                url.searchParams.delete(key);
+            }
+        });
+
+        // Last, so it reads as the "real" selector after the option params
+        url.searchParams.delete('variant');
+        url.searchParams.set('variant', variant.id);
+
+        return url.href;
+    },
+
+    /**
+     * Point the canonical link, share tags and JSON-LD offer at a variant
+     * @param {Object} productJson
+     * @param {Object} variant - Variant JSON
+     */
+    updateMeta(productJson, variant) {
+        const root = window.Shopify?.routes?.root || '/';
+        const variantUrl = `${window.location.origin}${root}products/${productJson.handle}?variant=${variant.id}`;
+        const image = variant.featured_image || productJson.featured_image && { src: productJson.featured_image };
+        const imageUrl = image ? this._getImageUrl(image.src, 1200) : null;
+        // Like money_without_currency: the shop's format with only its amount token
+        const amountToken = (window.theme?.moneyFormat || '').match(/\{\{\s*\w+\s*\}\}/)?.[0];
+        const price = window.Money.format(variant.price, amountToken);
+        const inStock = variant.available;
+
+        document.querySelector('link[rel="canonical"]')?.setAttribute('href', variantUrl);
+        this._setMeta('og:url', variantUrl);
+        this._setMeta('product:price:amount', price);
+        this._setMeta('product:availability', inStock ? 'in stock' : 'out of stock');
+
+        if (imageUrl) {
+            this._setMeta('og:image', imageUrl);
+            this._setMeta('twitter:image', imageUrl);
+            this._setMeta('og:image:alt', image.alt || productJson.title);
+
+            if (image.width && image.height) {
+                this._setMeta('og:image:height', Math.round(1200 * image.height / image.width));
+            }
+        }
+
+        const jsonLd = document.querySelector('script[data-product-json-ld]');
+        if (jsonLd) {
+            try {
+                const data = JSON.parse(jsonLd.textContent);
+                data.sku = variant.sku || data.sku;
+                data.offers = {
+                    ...data.offers,
+                    url: variantUrl,
+                    price: variant.price / 100,
+                    availability: `https://schema.org/${inStock ? 'InStock' : 'OutOfStock'}`
+                };
+                jsonLd.textContent = JSON.stringify(data);
+            } catch (e) {
+                console.warn('VariantRouter: Could not update JSON-LD', e);
+            }
+        }
+    },
+
+    /**
+     * Update a meta tag by property (Open Graph) or name (Twitter)
+     * @private
+     */
+    _setMeta(key, value) {
+        const meta = document.querySelector(`meta[property="${key}"], meta[name="${key}"]`);
+        if (meta) meta.setAttribute('content', value);
+    },
+
+    /**
+     * Absolute, resized Shopify CDN image URL
+     * @private
+     */
+    _getImageUrl(src, width) {
+        const url = new URL(src.startsWith('//') ? `https:${src}` : src, window.location.href);
+        url.searchParams.set('width', width);
+        return url.href;
+    },
+
+    /**
+     * Query param for an option ("Color" → "color")
+     * @private
+     */
+    _getOptionKey(option) {
+        return this._handleize(typeof option === 'string' ? option : option.name);
+    },
+
+    /**
+     * Shopify-style handle ("Light Grey" → "light-grey")
+     * @private
+     */
+    _handleize(value) {
+        return String(value)
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+};
+
+window.VariantRouter = VariantRouter;
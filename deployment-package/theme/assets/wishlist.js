@@ -1,6 +1,9 @@
 /**
  * Wishlist Module
- * Persists wishlist data to localStorage with product handles
+ * Persists wishlist entries ({ handle, variantId }) to localStorage.
+ * variantId is null for product-level entries; older data stored as a plain
+ * array of handles is read as product-level entries.
+ * Also moves lines between the cart and the wishlist ("Save for later").
  * Max 50 items to prevent localStorage quota issues
  */
 
@@ -9,13 +12,17 @@ const Wishlist = {
     MAX_ITEMS: 50,
 
     /**
-     * Get all wishlist items
-     * @returns {Array} Array of product handles
+     * Get all wishlist entries
+     * @returns {Array<{handle: string, variantId: number|null}>}
      */
     getAll() {
         try {
             const data = localStorage.getItem(this.STORAGE_KEY);
-            return data ? JSON.parse(data) : [];
+            const items = data ? JSON.parse(data) : [];
+
+            return items
+                .map(item => typeof item === 'string' ? { handle: item, variantId: null } : item)
+                .filter(item => item?.handle);
         } catch (e) {
             console.warn('Wishlist: Failed to parse localStorage', e);
             return [];
@@ -23,50 +30,52 @@ const Wishlist = {
     },
 
     /**
-     * Check if product is in wishlist
+     * Check if product (or one of its variants) is in wishlist
      * @param {string} handle - Product handle
+     * @param {number|null} [variantId] - Match only this entry; omit to match any entry for the product
      * @returns {boolean}
      */
-    has(handle) {
-        return this.getAll().includes(handle);
+    has(handle, variantId) {
+        return this.getAll().some(item => this._matches(item, handle, variantId));
     },
 
     /**
      * Add product to wishlist
      * @param {string} handle - Product handle
+     * @param {number|null} [variantId] - Variant to save; null for the product
      * @returns {boolean} Success status
      */
-    add(handle) {
+    add(handle, variantId = null) {
         if (!handle) return false;
 
         const items = this.getAll();
-        if (items.includes(handle)) return false;
+        if (items.some(item => this._matches(item, handle, variantId))) return false;
 
         // Enforce max items limit
         if (items.length >= this.MAX_ITEMS) {
             items.shift(); // Remove oldest
         }
 
-        items.push(handle);
+        items.push({ handle, variantId });
         this._save(items);
-        this._dispatch('wishlist:add', { handle });
+        this._dispatch('wishlist:add', { handle, variantId });
         return true;
     },
 
     /**
      * Remove product from wishlist
      * @param {string} handle - Product handle
+     * @param {number|null} [variantId] - Remove only this entry; omit to remove every entry for the product
      * @returns {boolean} Success status
      */
-    remove(handle) {
+    remove(handle, variantId) {
         const items = this.getAll();
-        const index = items.indexOf(handle);
+        const remaining = items.filter(item => !this._matches(item, handle, variantId));
 
-        if (index === -1) return false;
+        if (remaining.length === items.length) return false;
 
-        items.splice(index, 1);
-        this._save(items);
-        this._dispatch('wishlist:remove', { handle });
+        this._save(remaining);
+        this._dispatch('wishlist:remove', { handle, variantId });
         return true;
     },
 
@@ -85,6 +94,43 @@ const Wishlist = {
         }
     },
 
+    /**
+     * Move a cart line to the wishlist, keeping its variant
+     * The line is removed through the cart drawer when present (optimistic,
+     * with rollback) and only saved once the cart confirms the removal.
+     * @param {string} key - Line item key
+     * @param {string} handle - Product handle
+     * @param {number} variantId
+     * @returns {Promise<boolean>} True if the line was moved
+     */
+    async saveForLater(key, handle, variantId) {
+        if (window.CartDrawer?.drawer?.querySelector(`[data-cart-item="${key}"]`)) {
+            // Rejected changes are shown on the line by CartDrawer
+            await window.CartDrawer.removeItem(key);
+        } else {
+            await window.Cart.change(key, 0);
+        }
+
+        if (window.Cart.cart?.items.some(item => item.key === key)) return false;
+
+        this.add(handle, variantId);
+        return true;
+    },
+
+    /**
+     * Move a wishlist entry into the cart
+     * Product-level entries use the first available variant.
+     * @param {string} handle - Product handle
+     * @param {number|null} variantId
+     * @returns {Promise} Rejects with a shopper-facing message
+     */
+    async moveToCart(handle, variantId) {
+        const id = variantId || await this._getFirstAvailableVariantId(handle);
+
+        await window.Cart.add({ items: [{ id, quantity: 1 }] });
+        this.remove(handle, variantId);
+    },
+
     /**
      * Clear all wishlist items
      */
@@ -101,6 +147,31 @@ const Wishlist = {
         return this.getAll().length;
     },
 
+    /**
+     * Whether an entry matches a handle and (optionally) a variant
+     * @private
+     */
+    _matches(item, handle, variantId) {
+        if (item.handle !== handle) return false;
+        return variantId === undefined || item.variantId === variantId;
+    },
+
+    /**
+     * First available variant of a product, for product-level entries
+     * @private
+     */
+    async _getFirstAvailableVariantId(handle) {
+        const response = await fetch(`${window.Shopify?.routes?.root || '/'}products/${handle}.js`);
+        const product = response.ok ? await response.json() : null;
+        const variant = product?.variants.find(v => v.available);
+
+        if (!variant) {
+            throw new Error(window.I18n.t('products.product.sold_out'));
+        }
+
+        return variant.id;
+    },
+
     /**
      * Save to localStorage
      * @private
@@ -152,6 +223,21 @@ const Wishlist = {
 
         // Delegate click events
         document.addEventListener('click', (e) => {
+            const saveBtn = e.target.closest('[data-cart-save-for-later]');
+            const moveBtn = e.target.closest('[data-wishlist-move-to-cart]');
+
+            if (saveBtn) {
+                e.preventDefault();
+                this._onSaveForLater(saveBtn);
+                return;
+            }
+
+            if (moveBtn) {
+                e.preventDefault();
+                this._onMoveToCart(moveBtn);
+                return;
+            }
+
             const btn = e.target.closest('[data-wishlist-toggle]');
             if (!btn) return;
 
@@ -162,6 +248,54 @@ const Wishlist = {
             btn.classList.toggle('is-active', added);
             btn.setAttribute('aria-pressed', added.toString());
         });
+    },
+
+    /**
+     * Handle a "Save for later" click on a cart line
+     * @private
+     */
+    async _onSaveForLater(btn) {
+        const { cartSaveForLater: key, productHandle, variantId } = btn.dataset;
+        // The drawer re-renders its lines, detaching the button, before saving finishes
+        const inDrawer = Boolean(btn.closest('[data-cart-drawer]'));
+        const row = btn.closest('[data-cart-item]');
+
+        btn.disabled = true;
+
+        try {
+            const saved = await this.saveForLater(key, productHandle, parseInt(variantId, 10));
+            if (!saved) return;
+
+            window.A11y.announce(window.I18n.t('cart.general.saved_for_later'));
+
+            // Server-rendered cart page has no drawer to update the line in place
+            if (!inDrawer) {
+                window.location.reload();
+            }
+        } catch (e) {
+            window.Notifications.inline(row || btn, e.message);
+        } finally {
+            btn.disabled = false;
+        }
+    },
+
+    /**
+     * Handle a "Move to cart" click on a wishlist entry
+     * @private
+     */
+    async _onMoveToCart(btn) {
+        const handle = btn.dataset.wishlistMoveToCart;
+        const variantId = btn.dataset.variantId ? parseInt(btn.dataset.variantId, 10) : null;
+
+        window.Notifications.clear(btn);
+        btn.disabled = true;
+
+        try {
+            await this.moveToCart(handle, variantId);
+        } catch (e) {
+            window.Notifications.inline(btn, e.message);
+            btn.disabled = false;
+        }
     }
 };
 